@@ -1,7 +1,30 @@
 const jwt = require('jsonwebtoken');
+const CustomerUser = require('../models/CustomerUser');
+const Admin = require('../models/Admin');
+const Session = require('../models/Session');
 
 const JWT_SECRET = process.env.JWT_SECRET;
 
+// The account behind a token (admin or customer user), or null when the token no longer
+// counts: the account is gone or disabled, its tokenVersion has moved on (password change)
+// or the session was logged out
+async function activeAccount(user) {
+  // Customer tokens from before company users name no user; they must log in again
+  if (user.role === 'customer' && !user.userId) return null;
+
+  const [account, session] = await Promise.all([
+    user.role === 'admin'
+      ? Admin.findById(user.id).select('tokenVersion role disabled')
+      : CustomerUser.findOne({ _id: user.userId, customerId: user.id }).select('tokenVersion role disabled'),
+    user.sid ? Session.findById(user.sid).select('revokedAt') : null
+  ]);
+
+  if (!account || account.disabled || (account.tokenVersion || 0) !== (user.tokenVersion || 0)) return null;
+  // Tokens issued before sessions existed carry no sid
+  if (user.sid && (!session || session.revokedAt)) return null;
+  return account;
+}
+
 // Middleware to verify JWT
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -11,10 +34,26 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ error: 'Access denied. No token provided.' });
   }
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
+  jwt.verify(token, JWT_SECRET, async (err, user) => {
     if (err) {
+      // Expired tokens are renewed with the refresh token (POST /api/refresh)
+      if (err.name === 'TokenExpiredError') {
+        return res.status(401).json({ error: 'Token expired.' });
+      }
       return res.status(403).json({ error: 'Invalid token.' });
     }
+
+    try {
+      const account = await activeAccount(user);
+      if (!account) {
+        return res.status(401).json({ error: 'Session has been revoked. Please log in again.' });
+      }
+      // Permissions follow the account's current role (see middleware/authorize.js)
+      if (user.role === 'admin') user.adminRole = account.role;
+      if (user.role === 'customer') user.customerRole = account.role;
+    } catch (error) {
+      return res.status(500).json({ error: error.message });
+    }
     req.user = user;
     next();
   });
@@ -0,0 +1,69 @@
+// What each admin role (Admin.ADMIN_ROLES) may do. Viewing is open to every role; changes
+// need the matching permission. Super-admins can do everything, including managing admins.
+const VIEW_PERMISSIONS = ['customers.view', 'catalog.view', 'orders.view'];
+
+const ROLE_PERMISSIONS = {
+  super_admin: [...VIEW_PERMISSIONS, 'customers.manage', 'catalog.manage', 'orders.process', 'settings.manage', 'admins.manage'],
+  catalog_manager: [...VIEW_PERMISSIONS, 'catalog.manage'],
+  order_processor: [...VIEW_PERMISSIONS, 'orders.process'],
+  viewer: VIEW_PERMISSIONS
+};
+
+// What each customer user role (CustomerUser.CUSTOMER_USER_ROLES) may do in their company.
+// Approvers sign off orders held by the company's approval rules.
+const CUSTOMER_ROLE_PERMISSIONS = {
+  account_admin: ['orders.view', 'orders.place', 'orders.approve', 'users.manage', 'settings.manage'],
+  approver: ['orders.view', 'orders.place', 'orders.approve'],
+  buyer: ['orders.view', 'orders.place'],
+  viewer: ['orders.view']
+};
+
+function permissionsFor(adminRole) {
+  return ROLE_PERMISSIONS[adminRole] || [];
+}
+
+function customerPermissionsFor(customerRole) {
+  return CUSTOMER_ROLE_PERMISSIONS[customerRole] || [];
+}
+
+// Middleware: any admin, whatever their role (e.g. their own account settings)
+const requireAdmin = (req, res, next) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+  next();
+};
+
+// Middleware factory: only admins whose role grants `permission`. Runs after
+// authenticateToken, which sets req.user.adminRole from the admin's account.
+const requirePermission = (permission) => (req, res, next) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+  if (!permissionsFor(req.user.adminRole).includes(permission)) {
+    return res.status(403).json({ error: `Access denied - requires the ${permission} permission` });
+  }
+  next();
+};
+
+// Middleware factory: only customer users whose role grants `permission`. Runs after
+// authenticateToken, which sets req.user.customerRole from the user's account.
+const requireCustomerPermission = (permission) => (req, res, next) => {
+  if (req.user.role !== 'customer') {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+  if (!customerPermissionsFor(req.user.customerRole).includes(permission)) {
+    return res.status(403).json({ error: `Access denied - requires the ${permission} permission` });
+  }
+  next();
+};
+
+module.exports = {
+  ROLE_PERMISSIONS,
+  CUSTOMER_ROLE_PERMISSIONS,
+  permissionsFor,
+  customerPermissionsFor,
+  requireAdmin,
+  requirePermission,
+  requireCustomerPermission
+};
@@ -0,0 +1,37 @@
+const Customer = require('../models/Customer');
+const Product = require('../models/Product');
+const { sendValidationErrors } = require('./validate');
+const { hasCalendar, resolveDelivery } = require('../utils/deliveryCalendar');
+const { earliestOrderDelivery } = require('../utils/orderRules');
+
+// Work out the target delivery for a customer submission and store it on req.delivery.
+// Customers without a delivery calendar keep the optional requested deliveryDate. Without
+// a requested date the order is for the earliest delivery its products' lead times allow.
+const resolveDeliveryDate = async (req, res, next) => {
+  try {
+    const { deliveryDate, orders } = req.body;
+    const customer = await Customer.findById(req.user.id).select('deliveryCalendar');
+    const products = await Product.find({
+      _id: { $in: orders.filter(order => order.orderAmount > 0).map(order => order.productId) },
+      customerId: req.user.id
+    }).select('leadTimeDays');
+    const earliest = earliestOrderDelivery(products);
+
+    if (!customer || !hasCalendar(customer.deliveryCalendar)) {
+      req.delivery = { deliveryDate: deliveryDate ? new Date(deliveryDate) : earliest || undefined };
+      return next();
+    }
+
+    const delivery = resolveDelivery(customer.deliveryCalendar, new Date(), deliveryDate, earliest);
+    if (delivery.error) {
+      return sendValidationErrors(res, [{ field: 'deliveryDate', message: delivery.error }]);
+    }
+
+    req.delivery = delivery;
+    next();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = { resolveDeliveryDate };
@@ -0,0 +1,54 @@
+const Customer = require('../models/Customer');
+const Product = require('../models/Product');
+const { sendValidationErrors } = require('./validate');
+const { orderRuleErrors, earliestDeliveryDate } = require('../utils/orderRules');
+const { hasCalendar, nextDelivery } = require('../utils/deliveryCalendar');
+
+// Lead-time problem with an undated line (draft or template) of `product`: it will be
+// delivered on the customer's first delivery day after its notice period, so there has to be one
+function undatedLeadTimeError(product, calendar) {
+  if (!product.leadTimeDays || !hasCalendar(calendar)) return null;
+  const earliest = earliestDeliveryDate(product);
+  return nextDelivery(calendar, new Date(), earliest)
+    ? null
+    : `needs ${product.leadTimeDays} day(s) notice and there is no delivery day from ${earliest.toISOString().slice(0, 10)}`;
+}
+
+// Middleware factory: enforce product ordering rules on the quantities in a request.
+// `getLines(req)` returns [{ field, productId, quantity }]. The delivery date
+// (req.delivery, set by resolveDeliveryDate) is checked against each product's lead time;
+// without one the lines must be deliverable once their lead time has passed.
+const enforceOrderRules = (getLines) => async (req, res, next) => {
+  try {
+    const lines = getLines(req);
+    const deliveryDate = req.delivery ? req.delivery.deliveryDate : null;
+    const products = await Product.find({ _id: { $in: lines.map(line => line.productId) } });
+    const productsById = new Map(products.map(product => [product._id.toString(), product]));
+    const customer = !req.delivery && products.some(product => product.leadTimeDays)
+      ? await Customer.findById(req.user.id).select('deliveryCalendar')
+      : null;
+
+    const errors = [];
+    for (const line of lines) {
+      const product = productsById.get(String(line.productId));
+      if (!product) continue;
+
+      const messages = orderRuleErrors(product, line.quantity, deliveryDate);
+      const leadTimeError = customer && line.quantity ? undatedLeadTimeError(product, customer.deliveryCalendar) : null;
+      if (leadTimeError) messages.push(leadTimeError);
+
+      for (const message of messages) {
+        errors.push({ field: line.field, productId: product._id, message: `${product.sku}: ${message}` });
+      }
+    }
+
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+    next();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = { enforceOrderRules };
@@ -0,0 +1,32 @@
+const Product = require('../models/Product');
+const { sendValidationErrors } = require('./validate');
+
+// Middleware factory: ensure every product referenced by the request belongs to the
+// logged-in customer. `getProductRefs(req)` returns [{ field, productId }].
+const requireOwnedProducts = (getProductRefs) => async (req, res, next) => {
+  try {
+    if (req.user.role !== 'customer') {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const refs = getProductRefs(req);
+    const owned = await Product.find({
+      _id: { $in: refs.map(ref => ref.productId) },
+      customerId: req.user.id
+    }).select('_id');
+
+    const ownedIds = new Set(owned.map(product => product._id.toString()));
+    const errors = refs
+      .filter(ref => !ownedIds.has(String(ref.productId)))
+      .map(ref => ({ field: ref.field, message: 'is not one of your products' }));
+
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+    next();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = { requireOwnedProducts };
@@ -0,0 +1,178 @@
+// Request validation
+//
+// A schema describes the allowed `params`, `query` and `body` fields of a route:
+//
+//   validate({
+//     params: { id: { type: 'objectId', required: true } },
+//     body: {
+//       orderAmount: { type: 'integer', required: true, min: 0 },
+//       orders: { type: 'array', required: true, items: { type: 'object', fields: { ... } } }
+//     }
+//   })
+//
+// Supported types: string, number, integer, boolean, date, objectId, array, object.
+// An array rule with `uniqueBy: 'field'` rejects items repeating that field's value.
+// Query string values are converted to numbers and booleans where the schema asks for them.
+// Every error is collected, and unknown body and query fields are rejected. Failed requests
+// get a 400 with { error, details: [{ field, message }] }.
+
+function typeError(value, rule) {
+  switch (rule.type) {
+    case 'string':
+      return typeof value === 'string' ? null : 'must be a string';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value) ? null : 'must be a number';
+    case 'integer':
+      return Number.isInteger(value) ? null : 'must be a whole number';
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'must be true or false';
+    case 'date':
+      return (typeof value === 'string' || typeof value === 'number') && !isNaN(new Date(value).getTime())
+        ? null : 'must be a valid date';
+    case 'objectId':
+      return typeof value === 'string' && /^[0-9a-fA-F]{24}$/.test(value) ? null : 'must be a valid ID';
+    case 'array':
+      return Array.isArray(value) ? null : 'must be a list';
+    case 'object':
+      return value && typeof value === 'object' && !Array.isArray(value) ? null : 'must be an object';
+    default:
+      return null;
+  }
+}
+
+function checkValue(value, rule, field, errors) {
+  const message = typeError(value, rule);
+  if (message) {
+    errors.push({ field, message });
+    return;
+  }
+
+  if (rule.type === 'string') {
+    if (rule.required && value.trim() === '') {
+      errors.push({ field, message: 'must not be empty' });
+    }
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      errors.push({ field, message: `must be at least ${rule.minLength} characters` });
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      errors.push({ field, message: `must be at most ${rule.maxLength} characters` });
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+      errors.push({ field, message: rule.patternMessage || 'has an invalid format' });
+    }
+  }
+
+  if (rule.type === 'number' || rule.type === 'integer') {
+    if (rule.min !== undefined && value < rule.min) {
+      errors.push({ field, message: `must be at least ${rule.min}` });
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      errors.push({ field, message: `must be at most ${rule.max}` });
+    }
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    errors.push({ field, message: `must be one of: ${rule.enum.join(', ')}` });
+  }
+
+  if (rule.type === 'array') {
+    if (rule.minItems !== undefined && value.length < rule.minItems) {
+      errors.push({ field, message: `must contain at least ${rule.minItems} item(s)` });
+    }
+    if (rule.items) {
+      value.forEach((item, index) => checkValue(item, rule.items, `${field}[${index}]`, errors));
+    }
+    if (rule.uniqueBy) {
+      const seen = new Set();
+      value.forEach((item, index) => {
+        const key = item && typeof item === 'object' ? item[rule.uniqueBy] : undefined;
+        if (key === undefined || key === null) return;
+        // IDs are compared regardless of case
+        const normalized = String(key).toLowerCase();
+        if (seen.has(normalized)) {
+          errors.push({ field: `${field}[${index}].${rule.uniqueBy}`, message: 'is listed more than once' });
+        }
+        seen.add(normalized);
+      });
+    }
+  }
+
+  if (rule.type === 'object' && rule.fields) {
+    checkFields(value, rule.fields, `${field}.`, errors, rule.allowUnknown);
+  }
+}
+
+function checkFields(source, fields, prefix, errors, allowUnknown = false) {
+  const values = source || {};
+
+  for (const [name, rule] of Object.entries(fields)) {
+    const value = values[name];
+    const field = `${prefix}${name}`;
+
+    if (value === undefined || value === null || value === '') {
+      if (rule.required) {
+        errors.push({ field, message: 'is required' });
+      }
+      continue;
+    }
+
+    checkValue(value, rule, field, errors);
+  }
+
+  if (!allowUnknown) {
+    for (const name of Object.keys(values)) {
+      if (!Object.prototype.hasOwnProperty.call(fields, name)) {
+        errors.push({ field: `${prefix}${name}`, message: 'is not allowed' });
+      }
+    }
+  }
+}
+
+// Query values arrive as strings ('20', 'true'); anything unparseable is left for the type check
+function coerceQueryValue(value, rule) {
+  if (typeof value !== 'string' || value.trim() === '') return value;
+  if (rule.type === 'number' || rule.type === 'integer') return Number(value);
+  if (rule.type === 'boolean' && (value === 'true' || value === 'false')) return value === 'true';
+  return value;
+}
+
+function coerceQuery(query, fields) {
+  for (const [name, rule] of Object.entries(fields)) {
+    if (query[name] !== undefined) query[name] = coerceQueryValue(query[name], rule);
+  }
+}
+
+// Validate a request against a schema; returns a list of { field, message }
+function validateRequest(req, schema) {
+  const errors = [];
+  if (schema.params) checkFields(req.params, schema.params, '', errors, true);
+  if (schema.query) {
+    coerceQuery(req.query, schema.query);
+    checkFields(req.query, schema.query, '', errors);
+  }
+  if (schema.body) checkFields(req.body, schema.body, '', errors);
+  return errors;
+}
+
+// Response body for a list of field errors
+function validationErrorBody(errors) {
+  return {
+    error: `Validation failed: ${errors.map(e => `${e.field} ${e.message}`).join('; ')}`,
+    details: errors
+  };
+}
+
+function sendValidationErrors(res, errors) {
+  return res.status(400).json(validationErrorBody(errors));
+}
+
+// Middleware factory
+const validate = (schema) => (req, res, next) => {
+  const errors = validateRequest(req, schema);
+  if (errors.length > 0) {
+    return sendValidationErrors(res, errors);
+  }
+  next();
+};
+
+module.exports = { validate, validateRequest, validationErrorBody, sendValidationErrors };
@@ -1,15 +1,39 @@
 const mongoose = require('mongoose');
 
+const ADMIN_ROLES = ['super_admin', 'catalog_manager', 'order_processor', 'viewer'];
+
+// Usernames compare case-insensitively (matches the username index)
+const USERNAME_COLLATION = { locale: 'en', strength: 2 };
+
 const adminSchema = new mongoose.Schema({
   username: { type: String, required: true, unique: true },
   password: { type: String, required: true },
+  tokenVersion: { type: Number, default: 0 },  // Bumped to revoke every session of the account
+  // Permissions come from the role (see middleware/authorize.js). Admins created before
+  // roles existed are super-admins.
+  role: { type: String, enum: ADMIN_ROLES, default: 'super_admin' },
+  disabled: { type: Boolean, default: false },  // Disabled admins can't log in
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', default: null },
+  lastLogin: { type: Date },
+  // Failed logins since the last successful one; too many lock the account for a while
+  failedLogins: { type: Number, default: 0 },
+  lastFailedLogin: { type: Date, default: null },
+  lockedUntil: { type: Date, default: null },
   createdAt: { type: Date, default: Date.now }
 });
 
 // Case-insensitive index for admin username
 adminSchema.index({ username: 1 }, {
   unique: true,
-  collation: { locale: 'en', strength: 2 }
+  collation: USERNAME_COLLATION
 });
 
-module.exports = mongoose.model('Admin', adminSchema);
+// Look up an admin by username, case-insensitively, through the username index
+adminSchema.statics.findByUsername = function(username) {
+  return this.findOne({ username }).collation(USERNAME_COLLATION);
+};
+
+const Admin = mongoose.model('Admin', adminSchema);
+Admin.ADMIN_ROLES = ADMIN_ROLES;
+
+module.exports = Admin;
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Counter Schema - Named sequences for human-readable numbers (e.g. order numbers)
+const counterSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  seq: { type: Number, default: 0 }
+});
+
+// Atomically increment and return the next value of a named sequence
+counterSchema.statics.next = async function(name, startAt = 0, session = null) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    [{ $set: { seq: { $add: [{ $ifNull: ['$seq', startAt] }, 1] } } }],
+    { upsert: true, new: true, session }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -1,10 +1,39 @@
 const mongoose = require('mongoose');
 
+// Usernames compare case-insensitively (matches the username index)
+const USERNAME_COLLATION = { locale: 'en', strength: 2 };
+
+// Customer Schema - A customer company. Its people log in as CustomerUsers.
 const customerSchema = new mongoose.Schema({
-  username: { type: String, required: true, unique: true },
-  password: { type: String, required: true },
+  username: { type: String, required: true, unique: true },  // Account name; also the first user's username
+  password: { type: String },  // Login from before company users; moved to the first user at startup
   companyName: { type: String, required: true },
   contactPerson: { type: String, required: true },
+
+  // Invoicing: how tax applies to this customer and the currency totals are shown in
+  taxRule: { type: String, enum: ['standard', 'reduced', 'exempt'], default: 'standard' },
+  currency: { type: String, uppercase: true },  // Not set = base currency
+
+  // Delivery calendar - which weekdays the customer receives deliveries and
+  // when orders for each delivery day must be in
+  deliveryCalendar: {
+    deliveryDays: [{
+      weekday: { type: Number, min: 0, max: 6, required: true },  // 0 = Sunday
+      cutoffTime: { type: String, default: '17:00' },  // HH:MM, server local time
+      cutoffDaysBefore: { type: Number, min: 0, default: 1 }
+    }],
+    lateSubmission: { type: String, enum: ['reject', 'roll_forward'], default: 'roll_forward' },
+    closures: [{
+      date: { type: Date, required: true },
+      reason: { type: String }
+    }]
+  },
+
+  // Orders matching any rule wait for an approver in the company before reaching us
+  approvalRules: {
+    minTotal: { type: Number, default: null },  // Net order total, in the customer's currency, above which approval is needed
+    skus: [String]  // SKUs that always need approval
+  },
   lastActive: { type: Date },
   createdAt: { type: Date, default: Date.now }
 });
@@ -12,7 +41,12 @@ const customerSchema = new mongoose.Schema({
 // Case-insensitive index for username
 customerSchema.index({ username: 1 }, {
   unique: true,
-  collation: { locale: 'en', strength: 2 }
+  collation: USERNAME_COLLATION
 });
 
+// Look up a customer by account name, case-insensitively, through the username index
+customerSchema.statics.findByUsername = function(username) {
+  return this.findOne({ username }).collation(USERNAME_COLLATION);
+};
+
 module.exports = mongoose.model('Customer', customerSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const CUSTOMER_USER_ROLES = ['account_admin', 'approver', 'buyer', 'viewer'];
+
+// Usernames compare case-insensitively (matches the username index)
+const USERNAME_COLLATION = { locale: 'en', strength: 2 };
+
+// Customer User Schema - A login under a customer company (Customer). Each buyer has their
+// own credentials; the role decides what they may do (see middleware/authorize.js).
+const customerUserSchema = new mongoose.Schema({
+  customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer', required: true },
+  username: { type: String, required: true },
+  password: { type: String, required: true },
+  name: { type: String, required: true },  // Shown on the orders they submit
+  email: { type: String },
+  role: { type: String, enum: CUSTOMER_USER_ROLES, default: 'buyer' },
+  disabled: { type: Boolean, default: false },  // Disabled users can't log in
+  tokenVersion: { type: Number, default: 0 },  // Bumped to revoke every session of the user
+  invitedBy: { type: mongoose.Schema.Types.ObjectId, default: null },  // Account admin or admin who added them
+  lastActive: { type: Date },
+  // Failed logins since the last successful one; too many lock the account for a while
+  failedLogins: { type: Number, default: 0 },
+  lastFailedLogin: { type: Date, default: null },
+  lockedUntil: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Usernames are unique across all companies (case-insensitive)
+customerUserSchema.index({ username: 1 }, {
+  unique: true,
+  collation: USERNAME_COLLATION
+});
+customerUserSchema.index({ customerId: 1 });
+
+// Look up a user by username, case-insensitively, through the username index
+customerUserSchema.statics.findByUsername = function(username) {
+  return this.findOne({ username }).collation(USERNAME_COLLATION);
+};
+
+const CustomerUser = mongoose.model('CustomerUser', customerUserSchema);
+
+CustomerUser.CUSTOMER_USER_ROLES = CUSTOMER_USER_ROLES;
+
+module.exports = CustomerUser;
@@ -0,0 +1,11 @@
+const mongoose = require('mongoose');
+
+// Exchange Rate Schema - Units of a currency per one unit of the base currency
+const exchangeRateSchema = new mongoose.Schema({
+  currency: { type: String, required: true, unique: true, uppercase: true },  // ISO 4217 code, e.g. EUR
+  rate: { type: Number, required: true, min: 0 },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+  lastUpdated: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
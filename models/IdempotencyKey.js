@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// Idempotency Key Schema - Remembers the response to a keyed request so replays return it
+const idempotencyKeySchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  ownerId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  scope: { type: String, required: true },  // Route the key was used on, e.g. 'submit-all'
+  requestHash: { type: String, required: true },
+  responseStatus: { type: Number, required: true },
+  responseBody: { type: mongoose.Schema.Types.Mixed },
+  createdAt: { type: Date, default: Date.now, expires: 60 * 60 * 24 }  // Keys are kept for 24 hours
+});
+
+// A key is unique per user and route
+idempotencyKeySchema.index({ ownerId: 1, scope: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
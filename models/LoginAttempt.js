@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+const FAILURE_REASONS = ['unknown_user', 'bad_password'];
+
+// Login Attempt Schema - One failed customer or admin login, kept for 30 days. Used to
+// throttle logins from an IP address or as an unknown username and shown to admins (GET /api/admin/login-attempts).
+const loginAttemptSchema = new mongoose.Schema({
+  role: { type: String, enum: ['customer', 'admin'], required: true },
+  username: { type: String, required: true },  // As typed, lowercased
+  accountId: { type: mongoose.Schema.Types.ObjectId, default: null },  // Null for unknown usernames
+  ip: { type: String },
+  userAgent: { type: String },
+  reason: { type: String, enum: FAILURE_REASONS, required: true },
+  lockedAccount: { type: Boolean, default: false },  // This failure locked the account
+  createdAt: { type: Date, default: Date.now, expires: 30 * 24 * 60 * 60 }
+});
+
+loginAttemptSchema.index({ ip: 1, createdAt: -1 });
+loginAttemptSchema.index({ accountId: 1, createdAt: -1 });
+loginAttemptSchema.index({ username: 1, role: 1, createdAt: -1 });
+
+const LoginAttempt = mongoose.model('LoginAttempt', loginAttemptSchema);
+
+LoginAttempt.FAILURE_REASONS = FAILURE_REASONS;
+
+module.exports = LoginAttempt;
@@ -6,7 +6,64 @@ const manageProductSchema = new mongoose.Schema({
   name: { type: String, required: true },
   price: { type: Number, required: true },
   unit: { type: String, required: true },
+  taxCategory: { type: String, enum: ['standard', 'reduced', 'zero'], default: 'standard' },
+  categories: [{ type: String, trim: true }],  // Catalog categories/tags, e.g. ['Dairy', 'Chilled']
+  discontinued: { type: Boolean, default: false },  // No longer orderable by any customer
+
+  // Ordering rules (copied to customer products on assignment)
+  minOrderQuantity: { type: Number, default: 0 },  // 0 = no minimum
+  orderMultiple: { type: Number, default: 1 },  // Pack size, e.g. 12 for cases of 12
+  maxOrderQuantity: { type: Number, default: null },  // null = no maximum
+  leadTimeDays: { type: Number, default: 0 },  // Days' notice needed before delivery
+
+  // Quantity breaks, e.g. [{ minQuantity: 10, price: 4.5 }, { minQuantity: 50, price: 4 }]
+  priceTiers: [new mongoose.Schema({
+    minQuantity: { type: Number, required: true },
+    price: { type: Number, required: true }
+  }, { _id: false })],
+
+  // Bundle/kit: sold and priced as one product, picked as its components. Empty for ordinary
+  // products; components can't be bundles themselves, and a bundle's stock is its components'.
+  components: [new mongoose.Schema({
+    masterProductId: { type: mongoose.Schema.Types.ObjectId, ref: 'MasterProduct', required: true },
+    quantity: { type: Number, required: true }  // Units of the component in one bundle
+  }, { _id: false })],
+
+  // Inventory (shared by every customer's copy of the product)
+  stockOnHand: { type: Number, default: null },  // null = stock not tracked, always available
+  stockReserved: { type: Number, default: 0 },  // Held by submitted orders not yet shipped
+  lowStockThreshold: { type: Number, default: 0 },  // Available at or below this shows as limited
+  stockPolicy: { type: String, enum: ['backorder', 'block'], default: 'backorder' },  // For amounts over availability
+
+  // Media (files live in the storage adapter, see utils/storage.js)
+  image: {
+    type: new mongoose.Schema({
+      key: { type: String, required: true },  // Original upload
+      thumbnailKey: { type: String, required: true },  // Generated thumbnail
+      contentType: { type: String, required: true },
+      uploadedAt: { type: Date, default: Date.now }
+    }, { _id: false }),
+    default: null
+  },
+  specSheet: {
+    type: new mongoose.Schema({
+      key: { type: String, required: true },
+      fileName: { type: String, required: true },  // Name shown to customers
+      contentType: { type: String, default: 'application/pdf' },
+      size: { type: Number, required: true },  // Bytes
+      uploadedAt: { type: Date, default: Date.now }
+    }, { _id: false }),
+    default: null
+  },
+
   lastUpdated: { type: Date, default: Date.now }
 });
 
+// Catalog search and category browsing
+manageProductSchema.index({ sku: 'text', name: 'text' });
+manageProductSchema.index({ categories: 1, sku: 1 });
+
+// Finding the bundles a product is part of
+manageProductSchema.index({ 'components.masterProductId': 1 });
+
 module.exports = mongoose.model('MasterProduct', manageProductSchema);
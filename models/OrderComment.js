@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Order Comment Schema - Messages between customer and admin on a submission (or one of its lines)
+const orderCommentSchema = new mongoose.Schema({
+  submissionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Submission', required: true },
+  customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer', required: true },
+  lineId: { type: mongoose.Schema.Types.ObjectId, ref: 'OrderHistory' },  // Set for comments on a single line
+  authorRole: { type: String, enum: ['customer', 'admin'], required: true },
+  authorId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  body: { type: String, required: true, trim: true },
+  createdAt: { type: Date, default: Date.now },
+  readAt: { type: Date, default: null }  // When the other party first opened the thread after this comment
+});
+
+orderCommentSchema.index({ submissionId: 1, createdAt: 1 });
+orderCommentSchema.index({ customerId: 1, authorRole: 1, readAt: 1 });
+
+module.exports = mongoose.model('OrderComment', orderCommentSchema);
@@ -1,19 +1,51 @@
 const mongoose = require('mongoose');
 
-// Order History Schema - Stores all past submissions
+// Order History Schema - Stores the line items of every submission
 const orderHistorySchema = new mongoose.Schema({
+  submissionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Submission' },
   customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer', required: true },
   productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
   orderAmount: { type: Number, required: true },
   submittedAt: { type: Date, required: true },
+  // Customer user who submitted the line (or added it in an amendment); null for scheduled
+  // template orders and lines from before company users
+  submittedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'CustomerUser', default: null },
+  submittedByName: { type: String },  // Kept if the user is later removed
   isArchived: { type: Boolean, default: false },
   archivedAt: { type: Date },
   productDetails: {
     sku: String,
     name: String,
-    price: Number,
+    price: Number,  // List price when submitted
     unit: String
-  }
+  },
+  unitPrice: { type: Number },  // Price charged per unit after quantity breaks
+  lineTotal: { type: Number },
+  taxCategory: { type: String },
+  taxRate: { type: Number },  // Percent applied to this line when submitted
+
+  // Bundles: the customer's bundle line carries the price, and one component line per component
+  // (pointing at the bundle line) carries what to pick, the stock held and the shipments
+  lineType: { type: String, enum: ['item', 'bundle', 'component'], default: 'item' },
+  bundleLineId: { type: mongoose.Schema.Types.ObjectId, ref: 'OrderHistory', default: null },
+  bundleQuantity: { type: Number },  // Component units per bundle
+
+  // Stock held for this line; the rest of the amount is back-ordered
+  masterProductId: { type: mongoose.Schema.Types.ObjectId, ref: 'MasterProduct', default: null },  // Whose stock is held
+  reservedAmount: { type: Number, default: 0 },
+  backorderedAmount: { type: Number, default: 0 },
+
+  // Fulfilment (recorded by admin through shipments)
+  fulfilledAmount: { type: Number, default: 0 },  // Delivered so far across all shipments
+  lineStatus: { type: String, enum: ['open', 'partial', 'fulfilled', 'short'], default: 'open' },
+  substitution: {  // Item shipped in place of the ordered product
+    sku: String,
+    name: String,
+    unit: String
+  },
+  fulfilmentNote: { type: String }
 });
 
+orderHistorySchema.index({ submissionId: 1 });
+
 module.exports = mongoose.model('OrderHistory', orderHistorySchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// Days between runs for each schedule frequency
+const FREQUENCY_DAYS = {
+  weekly: 7,
+  biweekly: 14
+};
+
+// Order Template Schema - Named standing orders a customer can load or schedule
+const orderTemplateSchema = new mongoose.Schema({
+  customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer', required: true },
+  name: { type: String, required: true },
+  lines: [{
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    orderAmount: { type: Number, required: true }
+  }],
+
+  // Optional recurring schedule
+  schedule: {
+    enabled: { type: Boolean, default: false },
+    frequency: { type: String, enum: Object.keys(FREQUENCY_DAYS), default: 'weekly' },
+    weekday: { type: Number, min: 0, max: 6, default: 1 },  // 0 = Sunday
+    hour: { type: Number, min: 0, max: 23, default: 6 },
+    action: { type: String, enum: ['draft', 'submit'], default: 'draft' },
+    nextRunAt: { type: Date },
+    lastRunAt: { type: Date }
+  },
+
+  createdAt: { type: Date, default: Date.now },
+  lastUpdated: { type: Date, default: Date.now }
+});
+
+// Template names are unique per customer (case-insensitive)
+orderTemplateSchema.index({ customerId: 1, name: 1 }, {
+  unique: true,
+  collation: { locale: 'en', strength: 2 }
+});
+orderTemplateSchema.index({ 'schedule.enabled': 1, 'schedule.nextRunAt': 1 });
+
+// First scheduled run after `from` on the configured weekday and hour
+orderTemplateSchema.methods.firstRunAfter = function(from = new Date()) {
+  const next = new Date(from);
+  next.setHours(this.schedule.hour, 0, 0, 0);
+  next.setDate(next.getDate() + ((this.schedule.weekday - next.getDay() + 7) % 7));
+  if (next <= from) {
+    next.setDate(next.getDate() + 7);
+  }
+  return next;
+};
+
+// Advance nextRunAt past `now` by whole schedule periods
+orderTemplateSchema.methods.advanceSchedule = function(now = new Date()) {
+  const next = this.schedule.nextRunAt ? new Date(this.schedule.nextRunAt) : this.firstRunAfter(now);
+  while (next <= now) {
+    next.setDate(next.getDate() + FREQUENCY_DAYS[this.schedule.frequency]);
+  }
+  this.schedule.nextRunAt = next;
+  return this;
+};
+
+module.exports = mongoose.model('OrderTemplate', orderTemplateSchema);
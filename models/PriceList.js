@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Price list types, highest precedence first: a contract price beats a customer
+// override, which beats the base list that applies to every customer
+const PRICE_LIST_TYPES = ['contract', 'customer', 'base'];
+
+// Price List Schema - Prices by SKU that apply between two dates
+const priceListSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  type: { type: String, enum: PRICE_LIST_TYPES, required: true },
+  customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer', default: null },  // Not set for base lists
+  effectiveFrom: { type: Date, required: true },
+  effectiveTo: { type: Date, default: null },  // Exclusive; null = open-ended
+  prices: [{
+    sku: { type: String, required: true },
+    price: { type: Number, required: true, min: 0 }
+  }],
+  createdAt: { type: Date, default: Date.now },
+  lastUpdated: { type: Date, default: Date.now }
+});
+
+priceListSchema.index({ type: 1, customerId: 1, effectiveFrom: -1 });
+
+// Query for the lists in force at a moment
+priceListSchema.statics.activeAt = function(at = new Date()) {
+  return {
+    effectiveFrom: { $lte: at },
+    $or: [{ effectiveTo: null }, { effectiveTo: { $gt: at } }]
+  };
+};
+
+const PriceList = mongoose.model('PriceList', priceListSchema);
+PriceList.PRICE_LIST_TYPES = PRICE_LIST_TYPES;
+
+module.exports = PriceList;
@@ -3,14 +3,40 @@ const mongoose = require('mongoose');
 // Product Schema - Products are now managed by admin and assigned to customers
 const productSchema = new mongoose.Schema({
   customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer', required: true },
+  // Master product this was assigned from (null = customer-only product); see utils/masterSync.js
+  masterProductId: { type: mongoose.Schema.Types.ObjectId, ref: 'MasterProduct', default: null },
   sku: { type: String, required: true },
   name: { type: String, required: true },
   price: { type: Number, required: true },
   unit: { type: String, required: true },
+  taxCategory: { type: String, enum: ['standard', 'reduced', 'zero'], default: 'standard' },
+  categories: [{ type: String, trim: true }],
+  discontinued: { type: Boolean, default: false },  // Master discontinued or deleted; can't be ordered
+
+  // Ordering rules
+  minOrderQuantity: { type: Number, default: 0 },
+  orderMultiple: { type: Number, default: 1 },
+  maxOrderQuantity: { type: Number, default: null },
+  leadTimeDays: { type: Number, default: 0 },
+  overriddenFields: [{ type: String }],  // Fields pinned for this customer; the rest follow the master
+
+  // Quantity breaks
+  priceTiers: [new mongoose.Schema({
+    minQuantity: { type: Number, required: true },
+    price: { type: Number, required: true }
+  }, { _id: false })],
+
   lastUpdated: { type: Date, default: Date.now }
 });
 
 // Compound index to ensure SKU is unique per customer (same SKU can exist for different customers)
 productSchema.index({ customerId: 1, sku: 1 }, { unique: true });
 
+// Catalog search and category browsing
+productSchema.index({ sku: 'text', name: 'text' });
+productSchema.index({ customerId: 1, categories: 1, sku: 1 });
+
+// Propagating master changes
+productSchema.index({ masterProductId: 1 });
+
 module.exports = mongoose.model('Product', productSchema);
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// Product Version Schema - The values a master or customer product had before each change
+const productVersionSchema = new mongoose.Schema({
+  productModel: { type: String, enum: ['MasterProduct', 'Product'], required: true },
+  productId: { type: mongoose.Schema.Types.ObjectId, refPath: 'productModel', required: true },
+  version: { type: Number, required: true },  // 1 for the first change, 2 for the next, ...
+  values: { type: mongoose.Schema.Types.Mixed, required: true },  // Tracked fields before the change
+  changedFields: [{ type: String }],
+  reason: { type: String, enum: ['update', 'assign', 'revert', 'import', 'sync'], default: 'update' },
+  changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+  changedAt: { type: Date, default: Date.now }
+});
+
+productVersionSchema.index({ productId: 1, version: 1 }, { unique: true });
+
+module.exports = mongoose.model('ProductVersion', productVersionSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Session Schema - One login of a customer or admin. The client holds a refresh token for it
+// (only its hash is stored) and exchanges it for short-lived access tokens; each exchange
+// rotates the refresh token. Revoked sessions no longer authenticate.
+const sessionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  role: { type: String, enum: ['customer', 'admin'], required: true },
+  refreshTokenHash: { type: String, required: true, unique: true },
+  // Hashes of rotated-out refresh tokens; presenting one again revokes the session
+  previousTokenHashes: [{ type: String }],
+  rotatedAt: { type: Date, default: null },
+  tokenVersion: { type: Number, default: 0 },  // The user's tokenVersion at login
+  userAgent: { type: String },
+  revokedAt: { type: Date, default: null },
+  lastUsedAt: { type: Date, default: Date.now },
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true, expires: 0 }  // Removed once the refresh token expires
+});
+
+sessionSchema.index({ userId: 1, role: 1 });
+sessionSchema.index({ previousTokenHashes: 1 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+// Order numbers start above this value so the first order is #1001
+const ORDER_NUMBER_START = 1000;
+
+const SUBMISSION_STATUSES = ['pending_approval', 'rejected', 'submitted', 'acknowledged', 'in_fulfilment', 'fulfilled', 'cancelled'];
+
+// Orders that matched the customer's approval rules wait for one of their approvers before
+// they reach us; admins don't see them until approved (see findForAdmin)
+const UNAPPROVED_STATUSES = ['pending_approval', 'rejected'];
+
+// Allowed status transitions (rejected, fulfilled and cancelled are final). A submitted order
+// goes back to pending_approval when an amendment matches the customer's approval rules.
+const STATUS_TRANSITIONS = {
+  pending_approval: ['submitted', 'rejected', 'cancelled'],
+  rejected: [],
+  submitted: ['pending_approval', 'acknowledged', 'cancelled'],
+  acknowledged: ['in_fulfilment', 'cancelled'],
+  in_fulfilment: ['fulfilled', 'cancelled'],
+  fulfilled: [],
+  cancelled: []
+};
+
+// Statuses a submission never leaves
+const FINAL_STATUSES = Object.keys(STATUS_TRANSITIONS).filter(status => STATUS_TRANSITIONS[status].length === 0);
+
+// Timestamp field stamped when a submission enters each status
+const STATUS_TIMESTAMP_FIELDS = {
+  pending_approval: 'submittedAt',  // Moves to the approval time once approved
+  rejected: 'rejectedAt',
+  submitted: 'submittedAt',
+  acknowledged: 'acknowledgedAt',
+  in_fulfilment: 'inFulfilmentAt',
+  fulfilled: 'fulfilledAt',
+  cancelled: 'cancelledAt'
+};
+
+// Submission Schema - One document per submitted order; lines live in OrderHistory
+const submissionSchema = new mongoose.Schema({
+  orderNumber: { type: Number, required: true, unique: true },
+  customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer', required: true },
+  submittedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'CustomerUser', default: null },  // See OrderHistory
+  submittedByName: { type: String },
+  status: { type: String, enum: SUBMISSION_STATUSES, default: 'submitted' },
+
+  // Header totals
+  lineCount: { type: Number, default: 0 },
+  totalQuantity: { type: Number, default: 0 },
+  totalAmount: { type: Number, default: 0 },  // Net, in base currency
+
+  // Invoice totals in the customer's currency, fixed at submission so later rate changes don't alter them
+  currency: { type: String },
+  exchangeRate: { type: Number },
+  netAmount: { type: Number },
+  taxAmount: { type: Number },
+  grossAmount: { type: Number },
+  taxBreakdown: [{
+    rate: Number,
+    netAmount: Number,
+    taxAmount: Number
+  }],
+
+  deliveryDate: { type: Date },  // Target delivery date
+  cutoffAt: { type: Date },  // Cut-off the submission was made against
+  rolledForward: { type: Boolean, default: false },  // Submitted after cut-off and moved to the next delivery day
+
+  // Lifecycle timestamps
+  submittedAt: { type: Date, required: true },
+  acknowledgedAt: { type: Date },
+  inFulfilmentAt: { type: Date },
+  fulfilledAt: { type: Date },
+  cancelledAt: { type: Date },
+  rejectedAt: { type: Date },
+  statusHistory: [{
+    status: { type: String, enum: SUBMISSION_STATUSES },
+    changedAt: { type: Date, default: Date.now },
+    changedBy: { type: mongoose.Schema.Types.ObjectId }
+  }],
+
+  // Customer-side approval, when the order matched the customer's approval rules
+  approval: {
+    reasons: [String],  // Rules the order matched
+    requestedAt: { type: Date },
+    decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'CustomerUser' },
+    decidedByName: { type: String },
+    decidedAt: { type: Date },
+    rejectionReason: { type: String }
+  },
+
+  // Shipments recorded against this submission (partial deliveries allowed)
+  shipments: [{
+    reference: { type: String, required: true },
+    deliveryDate: { type: Date },
+    recordedAt: { type: Date, default: Date.now },
+    recordedBy: { type: mongoose.Schema.Types.ObjectId },
+    lines: [{
+      lineId: { type: mongoose.Schema.Types.ObjectId, ref: 'OrderHistory' },
+      quantity: { type: Number }
+    }]
+  }],
+
+  // Customer amendments and cancellation, newest last
+  revisions: [{
+    type: { type: String, enum: ['amended', 'cancelled'], required: true },
+    revisedAt: { type: Date, default: Date.now },
+    revisedBy: { type: mongoose.Schema.Types.ObjectId },
+    changes: [{
+      sku: String,
+      name: String,
+      previousAmount: Number,
+      newAmount: Number
+    }]
+  }],
+
+  isArchived: { type: Boolean, default: false },
+  archivedAt: { type: Date }
+});
+
+submissionSchema.index({ customerId: 1, submittedAt: -1 });
+
+// Reserve the next human-readable order number
+submissionSchema.statics.nextOrderNumber = function(session = null) {
+  return Counter.next('orderNumber', ORDER_NUMBER_START, session);
+};
+
+submissionSchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Customers may amend or cancel until the order is acknowledged or its cut-off passes.
+// Orders awaiting approval haven't reached us yet, so their cut-off doesn't apply.
+submissionSchema.methods.isAmendable = function(now = new Date()) {
+  if (this.isArchived) return false;
+  if (this.status === 'pending_approval') return true;
+  return this.status === 'submitted' && (!this.cutoffAt || now < this.cutoffAt);
+};
+
+// Move to a new status and record the transition (caller saves)
+submissionSchema.methods.transitionTo = function(status, changedBy, at = new Date()) {
+  this.status = status;
+  this[STATUS_TIMESTAMP_FIELDS[status]] = at;
+  this.statusHistory.push({ status, changedAt: at, changedBy });
+  return this;
+};
+
+// Find a submission by id for admin routes; orders still awaiting approval (or rejected) aren't theirs
+submissionSchema.statics.findForAdmin = function(id) {
+  return this.findOne({ _id: id, status: { $nin: UNAPPROVED_STATUSES } });
+};
+
+const Submission = mongoose.model('Submission', submissionSchema);
+
+Submission.SUBMISSION_STATUSES = SUBMISSION_STATUSES;
+Submission.UNAPPROVED_STATUSES = UNAPPROVED_STATUSES;
+Submission.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+Submission.FINAL_STATUSES = FINAL_STATUSES;
+
+module.exports = Submission;
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// Product tax categories; each has one admin-maintained rate
+const TAX_CATEGORIES = ['standard', 'reduced', 'zero'];
+
+// Tax Rate Schema - Percentage charged on products of a tax category
+const taxRateSchema = new mongoose.Schema({
+  category: { type: String, enum: TAX_CATEGORIES, required: true, unique: true },
+  rate: { type: Number, required: true, min: 0, max: 100 },  // Percent, e.g. 20 for 20%
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+  lastUpdated: { type: Date, default: Date.now }
+});
+
+const TaxRate = mongoose.model('TaxRate', taxRateSchema);
+TaxRate.TAX_CATEGORIES = TAX_CATEGORIES;
+
+module.exports = TaxRate;
@@ -12,39 +12,110 @@ function getUserRole() {
     return localStorage.getItem('userRole');
 }
 
+// Get the session's refresh token from localStorage
+function getRefreshToken() {
+    return localStorage.getItem('refreshToken');
+}
+
 // Set authentication data
-function setAuth(token, role) {
+function setAuth(token, role, refreshToken) {
     localStorage.setItem('token', token);
     localStorage.setItem('userRole', role);
+    if (refreshToken) localStorage.setItem('refreshToken', refreshToken);
 }
 
 // Clear authentication data
 function clearAuth() {
     localStorage.removeItem('token');
     localStorage.removeItem('userRole');
+    localStorage.removeItem('refreshToken');
+}
+
+let refreshInFlight = null;
+
+// Swap the refresh token for a new access token (and refresh token). Concurrent callers share
+// one request. Resolves to false when the session has ended and the user must log in again.
+function refreshSession() {
+    if (!refreshInFlight) {
+        refreshInFlight = requestRefresh().finally(() => {
+            refreshInFlight = null;
+        });
+    }
+    return refreshInFlight;
+}
+
+async function requestRefresh() {
+    const refreshToken = getRefreshToken();
+    if (!refreshToken) return false;
+
+    const response = await fetch(`${API_URL}/api/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken })
+    });
+    if (response.ok) {
+        const result = await response.json();
+        localStorage.setItem('token', result.token);
+        localStorage.setItem('refreshToken', result.refreshToken);
+        return true;
+    }
+
+    // 409: another tab rotated the token a moment ago and is about to store the new one
+    if (response.status === 409) {
+        await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+    return getRefreshToken() !== refreshToken;
+}
+
+// fetch() for authenticated requests: sends the current access token and, if it has expired,
+// refreshes the session once and retries
+async function authFetch(url, options = {}) {
+    const send = () => fetch(url, {
+        ...options,
+        headers: { ...options.headers, 'Authorization': `Bearer ${getToken()}` }
+    });
+
+    const response = await send();
+    if (response.status !== 401 || !(await refreshSession())) {
+        return response;
+    }
+    return send();
+}
+
+// Log out: revoke the session on the server and forget its tokens
+async function endSession() {
+    const refreshToken = getRefreshToken();
+    clearAuth();
+    if (!refreshToken) return;
+
+    try {
+        await fetch(`${API_URL}/api/logout`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refreshToken }),
+            keepalive: true  // The page is usually navigating away
+        });
+    } catch (error) {
+        // Offline: the refresh token expires on its own
+    }
 }
 
 // Generic API call function
-async function apiCall(endpoint, method = 'GET', data = null, requiresAuth = true) {
+async function apiCall(endpoint, method = 'GET', data = null, requiresAuth = true, extraHeaders = {}) {
     const options = {
         method,
         headers: {
-            'Content-Type': 'application/json'
+            'Content-Type': 'application/json',
+            ...extraHeaders
         }
     };
 
-    if (requiresAuth) {
-        const token = getToken();
-        if (token) {
-            options.headers['Authorization'] = `Bearer ${token}`;
-        }
-    }
-
     if (data && (method === 'POST' || method === 'PUT')) {
         options.body = JSON.stringify(data);
     }
 
-    const response = await fetch(`${API_URL}${endpoint}`, options);
+    const url = `${API_URL}${endpoint}`;
+    const response = requiresAuth && getToken() ? await authFetch(url, options) : await fetch(url, options);
 
     if (!response.ok) {
         const error = await response.json();
@@ -64,28 +135,122 @@ async function loginAdmin(username, password) {
 }
 
 // Customer API calls
-async function getCustomerProducts() {
-    return apiCall('/api/customer/products');
+// filter: { q, category, ordered, cursor, limit }; resolves to { products, nextCursor }
+async function getCustomerProducts(filter = {}) {
+    const query = new URLSearchParams(filter).toString();
+    return apiCall(`/api/customer/products${query ? `?${query}` : ''}`);
+}
+
+async function getCustomerCategories() {
+    return apiCall('/api/customer/categories');
 }
 
 async function updateOrder(productId, orderAmount) {
     return apiCall('/api/orders/update', 'POST', { productId, orderAmount });
 }
 
-async function updateAllDrafts(orders) {
-    return apiCall('/api/orders/update-all', 'POST', { orders });
+// Pass the same idempotencyKey when retrying so the server applies the request once
+async function updateAllDrafts(orders, idempotencyKey = crypto.randomUUID()) {
+    return apiCall('/api/orders/update-all', 'POST', { orders }, true, { 'Idempotency-Key': idempotencyKey });
+}
+
+async function submitAllOrders(orders, idempotencyKey = crypto.randomUUID()) {
+    return apiCall('/api/orders/submit-all', 'POST', { orders }, true, { 'Idempotency-Key': idempotencyKey });
+}
+
+async function quoteOrders(orders) {
+    return apiCall('/api/orders/quote', 'POST', { orders });
+}
+
+async function getOrderTemplates() {
+    return apiCall('/api/customer/templates');
+}
+
+async function createOrderTemplate(name, lines, schedule) {
+    return apiCall('/api/customer/templates', 'POST', { name, lines, schedule });
 }
 
-async function submitAllOrders(orders) {
-    return apiCall('/api/orders/submit-all', 'POST', { orders });
+async function updateOrderTemplate(id, data) {
+    return apiCall(`/api/customer/templates/${id}`, 'PUT', data);
+}
+
+async function deleteOrderTemplate(id) {
+    return apiCall(`/api/customer/templates/${id}`, 'DELETE');
+}
+
+async function loadOrderTemplate(id) {
+    return apiCall(`/api/customer/templates/${id}/load`, 'POST');
 }
 
 async function getCustomerOrderHistory() {
     return apiCall('/api/customer/order-history');
 }
 
+async function reorderSubmission(submissionId, idempotencyKey = crypto.randomUUID()) {
+    return apiCall(`/api/customer/order-history/${submissionId}/reorder`, 'POST', null, true, { 'Idempotency-Key': idempotencyKey });
+}
+
+async function amendSubmission(submissionId, orders, idempotencyKey = crypto.randomUUID()) {
+    return apiCall(`/api/orders/submissions/${submissionId}`, 'PUT', { orders }, true, { 'Idempotency-Key': idempotencyKey });
+}
+
+async function cancelSubmission(submissionId, idempotencyKey = crypto.randomUUID()) {
+    return apiCall(`/api/orders/submissions/${submissionId}/cancel`, 'POST', null, true, { 'Idempotency-Key': idempotencyKey });
+}
+
+async function approveSubmission(submissionId, idempotencyKey = crypto.randomUUID()) {
+    return apiCall(`/api/orders/submissions/${submissionId}/approve`, 'POST', null, true, { 'Idempotency-Key': idempotencyKey });
+}
+
+async function rejectSubmission(submissionId, reason, idempotencyKey = crypto.randomUUID()) {
+    return apiCall(`/api/orders/submissions/${submissionId}/reject`, 'POST', { reason }, true, { 'Idempotency-Key': idempotencyKey });
+}
+
+// Orders waiting for the current user's approval
+async function getPendingApprovals() {
+    return apiCall('/api/customer/approvals');
+}
+
+async function getApprovalRules() {
+    return apiCall('/api/customer/approval-rules');
+}
+
+// minTotal: net order total above which approval is needed (null = none); skus: SKUs that always need it
+async function updateApprovalRules(minTotal, skus) {
+    return apiCall('/api/customer/approval-rules', 'PUT', { minTotal, skus });
+}
+
+async function getOrderComments(submissionId) {
+    return apiCall(`/api/customer/order-history/${submissionId}/comments`);
+}
+
+async function postOrderComment(submissionId, body, lineId) {
+    return apiCall(`/api/customer/order-history/${submissionId}/comments`, 'POST', lineId ? { body, lineId } : { body });
+}
+
+// Users of the customer's company (account admins only)
+async function getCompanyUsers() {
+    return apiCall('/api/customer/users');
+}
+
+async function createCompanyUser(username, password, name, email, role) {
+    return apiCall('/api/customer/users', 'POST', { username, password, name, email, role });
+}
+
+// data: { name, email, role, disabled, password }
+async function updateCompanyUser(id, data) {
+    return apiCall(`/api/customer/users/${id}`, 'PUT', data);
+}
+
+async function deleteCompanyUser(id) {
+    return apiCall(`/api/customer/users/${id}`, 'DELETE');
+}
+
+// Other devices are logged out; this one continues with the new session returned
 async function updateCustomerPassword(currentPassword, newPassword) {
-    return apiCall('/api/customer/password', 'PUT', { currentPassword, newPassword });
+    const result = await apiCall('/api/customer/password', 'PUT', { currentPassword, newPassword });
+    setAuth(result.token, 'customer', result.refreshToken);
+    return result;
 }
 
 // Admin API calls
@@ -109,11 +274,49 @@ async function deleteCustomer(id) {
     return apiCall(`/api/admin/customers/${id}`, 'DELETE');
 }
 
+async function getCustomerUsers(customerId) {
+    return apiCall(`/api/admin/customers/${customerId}/users`);
+}
+
+async function addCustomerUser(customerId, username, password, name, email, role) {
+    return apiCall(`/api/admin/customers/${customerId}/users`, 'POST', { username, password, name, email, role });
+}
+
+// data: { name, email, role, disabled, password }
+async function updateCustomerUser(customerId, userId, data) {
+    return apiCall(`/api/admin/customers/${customerId}/users/${userId}`, 'PUT', data);
+}
+
+async function deleteCustomerUser(customerId, userId) {
+    return apiCall(`/api/admin/customers/${customerId}/users/${userId}`, 'DELETE');
+}
+
+// Lift a lockout after too many failed logins
+async function unlockCustomerUser(customerId, userId) {
+    return apiCall(`/api/admin/customers/${customerId}/users/${userId}/unlock`, 'POST');
+}
+
+async function getCustomerCalendar(customerId) {
+    return apiCall(`/api/admin/customers/${customerId}/calendar`);
+}
+
+async function updateCustomerCalendar(customerId, deliveryDays, lateSubmission) {
+    return apiCall(`/api/admin/customers/${customerId}/calendar`, 'PUT', { deliveryDays, lateSubmission });
+}
+
+async function addCalendarClosure(customerId, date, reason) {
+    return apiCall(`/api/admin/customers/${customerId}/calendar/closures`, 'POST', { date, reason });
+}
+
+async function removeCalendarClosure(customerId, closureId) {
+    return apiCall(`/api/admin/customers/${customerId}/calendar/closures/${closureId}`, 'DELETE');
+}
+
 async function addProduct(customerId, sku, name, price, unit) {
     return apiCall('/api/admin/products', 'POST', { customerId, sku, name, price, unit });
 }
 
-async function getCustomerProducts(customerId) {
+async function getAdminCustomerProducts(customerId) {
     return apiCall(`/api/admin/products/customer/${customerId}`);
 }
 
@@ -125,8 +328,84 @@ async function deleteProduct(id) {
     return apiCall(`/api/admin/products/${id}`, 'DELETE');
 }
 
-async function getMasterProducts() {
-    return apiCall('/api/admin/manage-products');
+// filter: { q, category, cursor, limit }; resolves to { products, nextCursor }
+async function getMasterProducts(filter = {}) {
+    const query = new URLSearchParams(filter).toString();
+    return apiCall(`/api/admin/manage-products${query ? `?${query}` : ''}`);
+}
+
+async function exportMasterProducts() {
+    const response = await authFetch(`${API_URL}/api/admin/manage-products/export`);
+    if (!response.ok) {
+        throw new Error('Export failed');
+    }
+    return response.text();
+}
+
+// Import catalog CSV text; with dryRun the changes are only previewed
+async function importMasterProducts(csv, { dryRun = true, deleteMissing = false } = {}, idempotencyKey = crypto.randomUUID()) {
+    const params = new URLSearchParams({ dryRun: String(dryRun), deleteMissing: String(deleteMissing) });
+    const response = await authFetch(`${API_URL}/api/admin/manage-products/import?${params}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'text/csv',
+            'Idempotency-Key': idempotencyKey
+        },
+        body: csv
+    });
+    const result = await response.json();
+    if (!response.ok) {
+        throw new Error(result.error || 'Import failed');
+    }
+    return result;
+}
+
+// Upload a raw file (image or PDF) as the request body
+async function uploadProductFile(path, file) {
+    const response = await authFetch(`${API_URL}${path}`, {
+        method: 'PUT',
+        headers: {
+            'Content-Type': file.type
+        },
+        body: file
+    });
+    const result = await response.json();
+    if (!response.ok) {
+        throw new Error(result.error || 'Upload failed');
+    }
+    return result;
+}
+
+async function uploadProductImage(id, file) {
+    return uploadProductFile(`/api/admin/manage-products/${id}/image`, file);
+}
+
+async function deleteProductImage(id) {
+    return apiCall(`/api/admin/manage-products/${id}/image`, 'DELETE');
+}
+
+async function uploadSpecSheet(id, file) {
+    return uploadProductFile(`/api/admin/manage-products/${id}/spec-sheet?fileName=${encodeURIComponent(file.name)}`, file);
+}
+
+async function deleteSpecSheet(id) {
+    return apiCall(`/api/admin/manage-products/${id}/spec-sheet`, 'DELETE');
+}
+
+async function adjustStock(id, adjustment) {
+    return apiCall(`/api/admin/manage-products/${id}/stock-adjustments`, 'POST', { adjustment });
+}
+
+async function getLowStockProducts() {
+    return apiCall('/api/admin/inventory/low-stock');
+}
+
+async function getProductSyncReport() {
+    return apiCall('/api/admin/manage-products/sync-report');
+}
+
+async function getProductCategories() {
+    return apiCall('/api/admin/product-categories');
 }
 
 async function addMasterProduct(sku, name, price, unit) {
@@ -137,51 +416,218 @@ async function updateMasterProduct(id, data) {
     return apiCall(`/api/admin/manage-products/${id}`, 'PUT', data);
 }
 
+async function getMasterProductVersions(id, at) {
+    return apiCall(`/api/admin/manage-products/${id}/versions${at ? `?at=${encodeURIComponent(at)}` : ''}`);
+}
+
+async function revertMasterProduct(id, version) {
+    return apiCall(`/api/admin/manage-products/${id}/versions/${version}/revert`, 'POST');
+}
+
+async function getProductVersions(id, at) {
+    return apiCall(`/api/admin/products/${id}/versions${at ? `?at=${encodeURIComponent(at)}` : ''}`);
+}
+
+async function revertProduct(id, version) {
+    return apiCall(`/api/admin/products/${id}/versions/${version}/revert`, 'POST');
+}
+
 async function deleteMasterProduct(id) {
     return apiCall(`/api/admin/manage-products/${id}`, 'DELETE');
 }
 
+async function getPriceLists(filter = {}) {
+    const query = new URLSearchParams(filter).toString();
+    return apiCall(`/api/admin/price-lists${query ? `?${query}` : ''}`);
+}
+
+async function createPriceList(data) {
+    return apiCall('/api/admin/price-lists', 'POST', data);
+}
+
+async function updatePriceList(id, data) {
+    return apiCall(`/api/admin/price-lists/${id}`, 'PUT', data);
+}
+
+async function deletePriceList(id) {
+    return apiCall(`/api/admin/price-lists/${id}`, 'DELETE');
+}
+
+async function getTaxRates() {
+    return apiCall('/api/admin/tax-rates');
+}
+
+async function updateTaxRate(category, rate) {
+    return apiCall(`/api/admin/tax-rates/${category}`, 'PUT', { rate });
+}
+
+async function getExchangeRates() {
+    return apiCall('/api/admin/exchange-rates');
+}
+
+async function updateExchangeRate(currency, rate) {
+    return apiCall(`/api/admin/exchange-rates/${currency}`, 'PUT', { rate });
+}
+
+async function deleteExchangeRate(currency) {
+    return apiCall(`/api/admin/exchange-rates/${currency}`, 'DELETE');
+}
+
 async function getOrderHistory(customerId) {
     return apiCall(`/api/admin/order-history/${customerId}`);
 }
 
-async function archiveOrder(customerId, submittedAt) {
-    return apiCall(`/api/admin/archive-order/${customerId}/${encodeURIComponent(submittedAt)}`, 'POST');
+async function updateSubmissionStatus(submissionId, status) {
+    return apiCall(`/api/admin/submissions/${submissionId}/status`, 'POST', { status });
+}
+
+async function recordShipment(submissionId, shipment, idempotencyKey = crypto.randomUUID()) {
+    return apiCall(`/api/admin/submissions/${submissionId}/shipments`, 'POST', shipment, true, { 'Idempotency-Key': idempotencyKey });
+}
+
+async function getSubmissionComments(submissionId) {
+    return apiCall(`/api/admin/submissions/${submissionId}/comments`);
+}
+
+async function postSubmissionComment(submissionId, body, lineId) {
+    return apiCall(`/api/admin/submissions/${submissionId}/comments`, 'POST', lineId ? { body, lineId } : { body });
+}
+
+async function archiveOrder(submissionId) {
+    return apiCall(`/api/admin/archive-order/${submissionId}`, 'POST');
+}
+
+// Admin accounts (super-admins only). role: super_admin | catalog_manager | order_processor | viewer
+async function getAdmins() {
+    return apiCall('/api/admin/admins');
+}
+
+async function createAdmin(username, password, role) {
+    return apiCall('/api/admin/admins', 'POST', { username, password, role });
+}
+
+// data: { role, disabled, password }
+async function updateAdmin(id, data) {
+    return apiCall(`/api/admin/admins/${id}`, 'PUT', data);
+}
+
+async function deleteAdmin(id) {
+    return apiCall(`/api/admin/admins/${id}`, 'DELETE');
+}
+
+async function unlockAdmin(id) {
+    return apiCall(`/api/admin/admins/${id}/unlock`, 'POST');
+}
+
+// Failed logins, newest first; filter: { role, username, ip, limit }
+async function getLoginAttempts(filter = {}) {
+    const query = new URLSearchParams(filter).toString();
+    return apiCall(`/api/admin/login-attempts${query ? `?${query}` : ''}`);
 }
 
 async function changeAdminPassword(currentPassword, newPassword) {
-    return apiCall('/api/admin/change-password', 'PUT', { currentPassword, newPassword });
+    const result = await apiCall('/api/admin/change-password', 'PUT', { currentPassword, newPassword });
+    setAuth(result.token, 'admin', result.refreshToken);
+    return result;
 }
 
 // Export functions
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         getToken,
+        getRefreshToken,
         getUserRole,
         setAuth,
         clearAuth,
+        refreshSession,
+        authFetch,
+        endSession,
         loginCustomer,
         loginAdmin,
         getCustomerProducts,
+        getCustomerCategories,
         updateOrder,
         updateAllDrafts,
         submitAllOrders,
+        quoteOrders,
+        getOrderTemplates,
+        createOrderTemplate,
+        updateOrderTemplate,
+        deleteOrderTemplate,
+        loadOrderTemplate,
         getCustomerOrderHistory,
+        reorderSubmission,
+        amendSubmission,
+        cancelSubmission,
+        approveSubmission,
+        rejectSubmission,
+        getPendingApprovals,
+        getApprovalRules,
+        updateApprovalRules,
+        getOrderComments,
+        postOrderComment,
+        getCompanyUsers,
+        createCompanyUser,
+        updateCompanyUser,
+        deleteCompanyUser,
         updateCustomerPassword,
         getAdminProducts,
         getAllCustomers,
         addCustomer,
         updateCustomer,
         deleteCustomer,
+        getCustomerUsers,
+        addCustomerUser,
+        updateCustomerUser,
+        deleteCustomerUser,
+        unlockCustomerUser,
+        getCustomerCalendar,
+        updateCustomerCalendar,
+        addCalendarClosure,
+        removeCalendarClosure,
         addProduct,
+        getAdminCustomerProducts,
         updateProduct,
         deleteProduct,
         getMasterProducts,
+        getProductCategories,
+        exportMasterProducts,
+        importMasterProducts,
+        uploadProductImage,
+        deleteProductImage,
+        uploadSpecSheet,
+        deleteSpecSheet,
+        adjustStock,
+        getLowStockProducts,
+        getProductSyncReport,
         addMasterProduct,
         updateMasterProduct,
         deleteMasterProduct,
+        getMasterProductVersions,
+        revertMasterProduct,
+        getProductVersions,
+        revertProduct,
+        getPriceLists,
+        createPriceList,
+        updatePriceList,
+        deletePriceList,
+        getTaxRates,
+        updateTaxRate,
+        getExchangeRates,
+        updateExchangeRate,
+        deleteExchangeRate,
         getOrderHistory,
+        updateSubmissionStatus,
+        recordShipment,
+        getSubmissionComments,
+        postSubmissionComment,
         archiveOrder,
+        getAdmins,
+        createAdmin,
+        updateAdmin,
+        deleteAdmin,
+        unlockAdmin,
+        getLoginAttempts,
         changeAdminPassword
     };
 }
@@ -2,21 +2,54 @@ const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
 const Customer = require('../models/Customer');
+const Admin = require('../models/Admin');
+const CustomerUser = require('../models/CustomerUser');
 const Product = require('../models/Product');
 const Order = require('../models/Order');
 const OrderHistory = require('../models/OrderHistory');
 const MasterProduct = require('../models/MasterProduct');
+const Submission = require('../models/Submission');
+const OrderComment = require('../models/OrderComment');
+const OrderTemplate = require('../models/OrderTemplate');
+const PriceList = require('../models/PriceList');
+const ProductVersion = require('../models/ProductVersion');
+const TaxRate = require('../models/TaxRate');
+const ExchangeRate = require('../models/ExchangeRate');
 const { authenticateToken } = require('../middleware/auth');
+const { requireAdmin, requirePermission, permissionsFor } = require('../middleware/authorize');
+const { validate, sendValidationErrors } = require('../middleware/validate');
+const schemas = require('../validation/admin');
+const {
+  withLines,
+  changeSubmissionStatus,
+  archiveSubmission,
+  openSubmissionsWith,
+  openSubmissionsResult
+} = require('../utils/submissions');
+const { recordShipment } = require('../utils/fulfilment');
+const { commentThread, postComment, unreadCounts, withUnreadComments } = require('../utils/comments');
+const { resolvePrices, priceTierErrors } = require('../utils/pricing');
+const { snapshot, recordVersion, productHistory, applyVersion } = require('../utils/productVersions');
+const { BASE_CURRENCY } = require('../utils/tax');
+const { pickStockFields, availableStock, releaseReservations } = require('../utils/inventory');
+const { storeProductImage, storeSpecSheet, removeMediaFiles } = require('../utils/productMedia');
+const { parseCsv, toCsv } = require('../utils/csv');
+const { exportCatalog, planImport, applyImport, importSummary } = require('../utils/catalogImport');
+const { catalogFilter, paginateBySku, categoryCounts, normalizeCategories } = require('../utils/catalog');
+const { runIdempotent, sendIdempotentResult } = require('../utils/idempotency');
+const { pickOrderRules, ruleConsistencyErrors } = require('../utils/orderRules');
+const { linkToMaster, syncFromMaster, propagateMaster, discontinueLinked, syncReport } = require('../utils/masterSync');
+const { resolveComponents, bundleStockErrors, bundlesContaining } = require('../utils/bundles');
+const { deliverySlots, hasCalendar, startOfDay } = require('../utils/deliveryCalendar');
+const { startSession, revokeAccountSessions, revokeCustomerSessions } = require('../utils/sessions');
+const { listUsers, createUser, updateUser, deleteUser, unlockUser } = require('../utils/customerUsers');
+const { clearFailures, lockStatus } = require('../utils/loginThrottle');
+const LoginAttempt = require('../models/LoginAttempt');
 
 // Change admin password
-router.put('/change-password', authenticateToken, async (req, res) => {
+router.put('/change-password', authenticateToken, requireAdmin, validate(schemas.changePassword), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Access denied' });
-    }
-
     const { currentPassword, newPassword } = req.body;
-    const Admin = require('../models/Admin');
     const admin = await Admin.findById(req.user.id);
 
     if (!admin) {
@@ -32,19 +65,212 @@ router.put('/change-password', authenticateToken, async (req, res) => {
     admin.password = hashedPassword;
     await admin.save();
 
-    res.json({ message: 'Password changed successfully' });
+    // Log out every other device; this one continues on a new session
+    const account = await revokeAccountSessions(admin._id, 'admin');
+    const { token, refreshToken } = await startSession(account, 'admin', req.get('user-agent'));
+
+    res.json({ message: 'Password changed successfully', token, refreshToken });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Get all products grouped by customer (for manage-customers page)
-router.get('/all-products', authenticateToken, async (req, res) => {
+// Admin accounts, without password hashes, with what their role allows
+function adminAccount(admin) {
+  return {
+    _id: admin._id,
+    username: admin.username,
+    role: admin.role,
+    permissions: permissionsFor(admin.role),
+    disabled: admin.disabled,
+    ...lockStatus(admin),
+    lastLogin: admin.lastLogin || null,
+    createdAt: admin.createdAt
+  };
+}
+
+// True if no active super-admin would remain without `adminId`
+async function isLastSuperAdmin(adminId) {
+  const others = await Admin.countDocuments({ _id: { $ne: adminId }, role: 'super_admin', disabled: { $ne: true } });
+  return others === 0;
+}
+
+// List admin accounts
+router.get('/admins', authenticateToken, requirePermission('admins.manage'), async (req, res) => {
+  try {
+    const admins = await Admin.find().sort({ username: 1 });
+    res.json(admins.map(adminAccount));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add admin account
+router.post('/admins', authenticateToken, requirePermission('admins.manage'), validate(schemas.createAdmin), async (req, res) => {
+  try {
+    const { username, password, role } = req.body;
+
+    const existingAdmin = await Admin.findByUsername(username);
+    if (existingAdmin) {
+      return res.status(400).json({ error: 'Username already exists (case-insensitive)' });
+    }
+
+    const admin = new Admin({
+      username: username.toLowerCase(),
+      password: await bcrypt.hash(password, 10),
+      role,
+      createdBy: req.user.id
+    });
+    await admin.save();
+
+    res.status(201).json({ message: 'Admin created successfully', admin: adminAccount(admin) });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'Username already exists' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Change an admin's role, disable/enable the account or set a new password. Disabling or
+// a new password logs the admin out everywhere; a new role applies to their next request.
+router.put('/admins/:id', authenticateToken, requirePermission('admins.manage'), validate(schemas.updateAdmin), async (req, res) => {
+  try {
+    const { role, disabled, password } = req.body;
+
+    const admin = await Admin.findById(req.params.id);
+    if (!admin) {
+      return res.status(404).json({ error: 'Admin not found' });
+    }
+
+    const isSelf = admin._id.equals(req.user.id);
+    if (isSelf && (disabled || (role && role !== admin.role))) {
+      return res.status(400).json({ error: 'You cannot disable your own account or change your own role' });
+    }
+    const losesSuperAdmin = admin.role === 'super_admin' && !admin.disabled &&
+      ((role && role !== 'super_admin') || disabled);
+    if (losesSuperAdmin && await isLastSuperAdmin(admin._id)) {
+      return res.status(400).json({ error: 'At least one active super-admin is required' });
+    }
+
+    if (role) admin.role = role;
+    if (disabled !== undefined && disabled !== null) admin.disabled = disabled;
+    if (password) admin.password = await bcrypt.hash(password, 10);
+    await admin.save();
+
+    if (admin.disabled || password) {
+      await revokeAccountSessions(admin._id, 'admin');
+    }
+
+    res.json({ message: 'Admin updated successfully', admin: adminAccount(admin) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete admin account
+router.delete('/admins/:id', authenticateToken, requirePermission('admins.manage'), validate(schemas.deleteAdmin), async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.params.id);
+    if (!admin) {
+      return res.status(404).json({ error: 'Admin not found' });
+    }
+    if (admin._id.equals(req.user.id)) {
+      return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+    if (admin.role === 'super_admin' && !admin.disabled && await isLastSuperAdmin(admin._id)) {
+      return res.status(400).json({ error: 'At least one active super-admin is required' });
+    }
+
+    await revokeAccountSessions(admin._id, 'admin');
+    await Admin.deleteOne({ _id: admin._id });
+
+    res.json({ message: 'Admin deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Lift a lockout after failed logins
+router.post('/admins/:id/unlock', authenticateToken, requirePermission('admins.manage'), validate(schemas.unlockAdmin), async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.params.id);
+    if (!admin) {
+      return res.status(404).json({ error: 'Admin not found' });
+    }
+
+    clearFailures(admin);
+    await admin.save();
+
+    res.json({ message: 'Admin unlocked', admin: adminAccount(admin) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Failed customer and admin logins, newest first (kept for 30 days)
+router.get('/login-attempts', authenticateToken, requirePermission('admins.manage'), validate(schemas.loginAttempts), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Access denied' });
+    const { role, username, ip, limit } = req.query;
+    const query = {};
+    if (role) query.role = role;
+    if (username) query.username = username.toLowerCase();
+    if (ip) query.ip = ip;
+
+    const attempts = await LoginAttempt.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit || 100);
+    res.json(attempts);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Fill in the customer groups of the product listings below: each customer's prices from their
+// active price lists, unread customer comments and the latest order each row belongs to
+async function withCustomerSummary(groups) {
+  const customerIds = groups.map(group => group.customer._id);
+  const unread = await unreadCounts('admin', { customerId: { $in: customerIds } }, 'customerId');
+
+  // Latest approved, unarchived submission per customer in one query
+  const latestSubmissions = await Submission.aggregate([
+    {
+      $match: {
+        customerId: { $in: customerIds },
+        isArchived: { $ne: true },
+        status: { $nin: Submission.UNAPPROVED_STATUSES }
+      }
+    },
+    { $sort: { submittedAt: -1 } },
+    {
+      $group: {
+        _id: '$customerId',
+        submissionId: { $first: '$_id' },
+        orderNumber: { $first: '$orderNumber' },
+        status: { $first: '$status' }
+      }
+    }
+  ]);
+  const latestByCustomer = new Map(latestSubmissions.map(entry => [
+    entry._id.toString(),
+    { _id: entry.submissionId, orderNumber: entry.orderNumber, status: entry.status }
+  ]));
+
+  for (const group of groups) {
+    const prices = await resolvePrices(group.customer._id, group.products);
+    for (const product of group.products) {
+      product.price = prices.get(product._id.toString()).price;
     }
 
+    group.latestSubmission = latestByCustomer.get(group.customer._id.toString()) || null;
+    group.unreadComments = unread.get(group.customer._id.toString()) || 0;
+  }
+  return groups;
+}
+
+// Get all products grouped by customer (for manage-customers page)
+router.get('/all-products', authenticateToken, requirePermission('customers.view'), async (req, res) => {
+  try {
     const products = await Product.find().populate('customerId', 'companyName contactPerson username');
 
     const validProducts = [];
@@ -100,19 +326,15 @@ router.get('/all-products', authenticateToken, async (req, res) => {
       return acc;
     }, {});
 
-    res.json(Object.values(groupedProducts));
+    res.json(await withCustomerSummary(Object.values(groupedProducts)));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
 // Get all products with orders grouped by customer (for dashboard)
-router.get('/products', authenticateToken, async (req, res) => {
+router.get('/products', authenticateToken, requirePermission('customers.view'), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Access denied' });
-    }
-
     const products = await Product.find().populate('customerId', 'companyName contactPerson username');
 
     const validProducts = [];
@@ -171,40 +393,57 @@ router.get('/products', authenticateToken, async (req, res) => {
       return acc;
     }, {});
 
-    res.json(Object.values(groupedProducts));
+    res.json(await withCustomerSummary(Object.values(groupedProducts)));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// A customer can only be invoiced in the base currency or one with an exchange rate
+async function currencyFieldErrors(currency) {
+  if (!currency || currency.toUpperCase() === BASE_CURRENCY) return [];
+  if (await ExchangeRate.exists({ currency: currency.toUpperCase() })) return [];
+  return [{ field: 'currency', message: `has no exchange rate set (add one for ${currency.toUpperCase()} first)` }];
+}
+
+// Stored currency: not set means the base currency
+function invoiceCurrency(currency) {
+  return currency && currency.toUpperCase() !== BASE_CURRENCY ? currency.toUpperCase() : undefined;
+}
+
 // Add customer
-router.post('/customers', authenticateToken, async (req, res) => {
+router.post('/customers', authenticateToken, requirePermission('customers.manage'), validate(schemas.createCustomer), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Access denied' });
-    }
+    const { username, password, companyName, contactPerson, taxRule, currency } = req.body;
 
-    const { username, password, companyName, contactPerson } = req.body;
+    const currencyErrors = await currencyFieldErrors(currency);
+    if (currencyErrors.length > 0) {
+      return sendValidationErrors(res, currencyErrors);
+    }
 
-    const existingCustomer = await Customer.findOne({
-      username: { $regex: new RegExp(`^${username}$`, 'i') }
-    });
+    const existingCustomer = await Customer.findByUsername(username);
 
     if (existingCustomer) {
       return res.status(400).json({ error: 'Username already exists (case-insensitive)' });
     }
 
-    const hashedPassword = await bcrypt.hash(password, 10);
-
     const customer = new Customer({
       username: username.toLowerCase(),
-      password: hashedPassword,
       companyName,
-      contactPerson
+      contactPerson,
+      taxRule,
+      currency: invoiceCurrency(currency)
     });
-
     await customer.save();
-    res.status(201).json({ message: 'Customer created successfully', customer });
+
+    // The username and password become the company's first user, who can invite colleagues
+    const firstUser = await createUser(customer._id, { username, password, name: contactPerson, role: 'account_admin' }, req.user.id);
+    if (firstUser.status !== 201) {
+      await Customer.deleteOne({ _id: customer._id });
+      return res.status(firstUser.status).json(firstUser.body);
+    }
+
+    res.status(201).json({ message: 'Customer created successfully', customer, user: firstUser.body.user });
   } catch (error) {
     if (error.code === 11000) {
       return res.status(400).json({ error: 'Username already exists' });
@@ -214,31 +453,39 @@ router.post('/customers', authenticateToken, async (req, res) => {
 });
 
 // Get all customers
-router.get('/customers', authenticateToken, async (req, res) => {
+router.get('/customers', authenticateToken, requirePermission('customers.view'), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Access denied' });
-    }
-
     const customers = await Customer.find().select('-password');
-    res.json(customers);
+    const userCounts = await CustomerUser.aggregate([{ $group: { _id: '$customerId', count: { $sum: 1 } } }]);
+    const countsByCustomer = new Map(userCounts.map(entry => [entry._id.toString(), entry.count]));
+
+    res.json(customers.map(customer => ({
+      ...customer.toObject(),
+      userCount: countsByCustomer.get(customer._id.toString()) || 0
+    })));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
 // Update customer
-router.put('/customers/:id', authenticateToken, async (req, res) => {
+router.put('/customers/:id', authenticateToken, requirePermission('customers.manage'), validate(schemas.updateCustomer), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Access denied' });
-    }
-
-    const { username, companyName, contactPerson, password } = req.body;
+    const { username, companyName, contactPerson, taxRule, currency } = req.body;
     const updateData = { username: username.toLowerCase(), companyName, contactPerson };
 
-    if (password) {
-      updateData.password = await bcrypt.hash(password, 10);
+    const currencyErrors = await currencyFieldErrors(currency);
+    if (currencyErrors.length > 0) {
+      return sendValidationErrors(res, currencyErrors);
+    }
+    if (taxRule) updateData.taxRule = taxRule;
+    if (currency) {
+      // The base currency is stored as no currency, so switching back to it clears the field
+      if (invoiceCurrency(currency)) {
+        updateData.currency = invoiceCurrency(currency);
+      } else {
+        updateData.$unset = { currency: 1 };
+      }
     }
 
     const customer = await Customer.findByIdAndUpdate(
@@ -261,16 +508,21 @@ router.put('/customers/:id', authenticateToken, async (req, res) => {
 });
 
 // Delete customer
-router.delete('/customers/:id', authenticateToken, async (req, res) => {
+router.delete('/customers/:id', authenticateToken, requirePermission('customers.manage'), validate(schemas.deleteCustomer), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Access denied' });
-    }
-
+    const customerProducts = await Product.find({ customerId: req.params.id }).select('_id');
+    await ProductVersion.deleteMany({ productId: { $in: customerProducts.map(p => p._id) } });
     await Product.deleteMany({ customerId: req.params.id });
     await Order.deleteMany({ customerId: req.params.id });
+    await OrderTemplate.deleteMany({ customerId: req.params.id });
+    await releaseReservations(await OrderHistory.find({ customerId: req.params.id, reservedAmount: { $gt: 0 } }));
     await OrderHistory.deleteMany({ customerId: req.params.id });
+    await Submission.deleteMany({ customerId: req.params.id });
+    await OrderComment.deleteMany({ customerId: req.params.id });
+    await PriceList.deleteMany({ customerId: req.params.id });
 
+    await revokeCustomerSessions(req.params.id);
+    await CustomerUser.deleteMany({ customerId: req.params.id });
     const customer = await Customer.findByIdAndDelete(req.params.id);
 
     if (!customer) {
@@ -283,124 +535,391 @@ router.delete('/customers/:id', authenticateToken, async (req, res) => {
   }
 });
 
-// Get order history for a customer
-router.get('/order-history/:customerId', authenticateToken, async (req, res) => {
+// Users of a customer company
+router.get('/customers/:id/users', authenticateToken, requirePermission('customers.view'), validate(schemas.customerUsers), async (req, res) => {
+  try {
+    if (!(await Customer.exists({ _id: req.params.id }))) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+    res.json(await listUsers(req.params.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add a user to a customer company
+router.post('/customers/:id/users', authenticateToken, requirePermission('customers.manage'), validate(schemas.createCustomerUser), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Access denied' });
+    if (!(await Customer.exists({ _id: req.params.id }))) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+    const result = await createUser(req.params.id, req.body, req.user.id);
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'Username already exists' });
     }
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const mostRecentOrder = await OrderHistory.findOne({
-      customerId: req.params.customerId,
-      orderAmount: { $gt: 0 },
-      isArchived: { $ne: true }
-    })
-      .sort({ submittedAt: -1 })
-      .limit(1);
+// Change a customer user's role, details or password, or disable their login
+router.put('/customers/:id/users/:userId', authenticateToken, requirePermission('customers.manage'), validate(schemas.updateCustomerUser), async (req, res) => {
+  try {
+    const result = await updateUser(req.params.id, req.params.userId, req.body);
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.delete('/customers/:id/users/:userId', authenticateToken, requirePermission('customers.manage'), validate(schemas.deleteCustomerUser), async (req, res) => {
+  try {
+    const result = await deleteUser(req.params.id, req.params.userId);
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Lift a customer user's lockout after failed logins
+router.post('/customers/:id/users/:userId/unlock', authenticateToken, requirePermission('customers.manage'), validate(schemas.unlockCustomerUser), async (req, res) => {
+  try {
+    const result = await unlockUser(req.params.id, req.params.userId);
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Calendar response: settings plus the next few delivery days
+function calendarResponse(customer) {
+  const calendar = customer.deliveryCalendar;
+  return {
+    deliveryCalendar: calendar,
+    upcoming: hasCalendar(calendar) ? deliverySlots(calendar).filter(slot => slot.cutoffAt > new Date()).slice(0, 5) : []
+  };
+}
+
+// Get customer delivery calendar
+router.get('/customers/:id/calendar', authenticateToken, requirePermission('customers.view'), validate(schemas.getCalendar), async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.params.id).select('deliveryCalendar');
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    res.json(calendarResponse(customer));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Set customer delivery days, cut-offs and late submission policy
+router.put('/customers/:id/calendar', authenticateToken, requirePermission('customers.manage'), validate(schemas.updateCalendar), async (req, res) => {
+  try {
+    const { deliveryDays, lateSubmission } = req.body;
+
+    const weekdays = deliveryDays.map(day => day.weekday);
+    if (new Set(weekdays).size !== weekdays.length) {
+      return sendValidationErrors(res, [{ field: 'deliveryDays', message: 'must not list the same weekday twice' }]);
+    }
+
+    const customer = await Customer.findById(req.params.id);
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    customer.deliveryCalendar.deliveryDays = deliveryDays;
+    if (lateSubmission) {
+      customer.deliveryCalendar.lateSubmission = lateSubmission;
+    }
+    await customer.save();
+
+    res.json({ message: 'Delivery calendar updated successfully', ...calendarResponse(customer) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add a closure (holiday) to a customer's delivery calendar
+router.post('/customers/:id/calendar/closures', authenticateToken, requirePermission('customers.manage'), validate(schemas.addClosure), async (req, res) => {
+  try {
+    const { date, reason } = req.body;
+
+    const customer = await Customer.findById(req.params.id);
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    customer.deliveryCalendar.closures.push({ date: startOfDay(date), reason });
+    await customer.save();
+
+    res.status(201).json({ message: 'Closure added successfully', ...calendarResponse(customer) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove a closure from a customer's delivery calendar
+router.delete('/customers/:id/calendar/closures/:closureId', authenticateToken, requirePermission('customers.manage'), validate(schemas.removeClosure), async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.params.id);
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const closure = customer.deliveryCalendar.closures.id(req.params.closureId);
+    if (!closure) {
+      return res.status(404).json({ error: 'Closure not found' });
+    }
+
+    closure.deleteOne();
+    await customer.save();
+
+    res.json({ message: 'Closure removed successfully', ...calendarResponse(customer) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
+// Get order history for a customer
+router.get('/order-history/:customerId', authenticateToken, requirePermission('orders.view'), validate(schemas.orderHistory), async (req, res) => {
+  try {
+    // Orders still awaiting the customer's approval (or rejected by it) never reach us
     const query = {
       customerId: req.params.customerId,
-      orderAmount: { $gt: 0 },
-      isArchived: { $ne: true }
+      isArchived: { $ne: true },
+      status: { $nin: Submission.UNAPPROVED_STATUSES }
     };
 
-    if (mostRecentOrder) {
-      query.submittedAt = { $lt: mostRecentOrder.submittedAt };
+    // The most recent submission is shown on the dashboard, so history starts after it
+    const mostRecentSubmission = await Submission.findOne(query).sort({ submittedAt: -1 });
+
+    if (mostRecentSubmission) {
+      query.submittedAt = { $lt: mostRecentSubmission.submittedAt };
     }
 
-    const history = await OrderHistory.find(query)
+    const submissions = await Submission.find(query)
       .sort({ submittedAt: -1 })
       .limit(100);
 
-    const groupedHistory = history.reduce((acc, entry) => {
-      const timestamp = entry.submittedAt.toISOString();
-      if (!acc[timestamp]) {
-        acc[timestamp] = {
-          submittedAt: entry.submittedAt,
-          items: []
-        };
+    res.json(await withUnreadComments(await withLines(submissions, { components: true }), 'admin'));
+  } catch (error) {
+    console.error('Error fetching order history:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update submission status (submitted -> acknowledged -> in_fulfilment -> fulfilled / cancelled).
+// The status change and any stock released commit together (idempotent with an Idempotency-Key header).
+router.post('/submissions/:id/status', authenticateToken, requirePermission('orders.process'), validate(schemas.updateSubmissionStatus), async (req, res) => {
+  try {
+    const { status } = req.body;
+
+    const result = await runIdempotent({
+      key: req.get('Idempotency-Key'),
+      ownerId: req.user.id,
+      scope: 'submission-status',
+      body: { submissionId: req.params.id, status }
+    }, async (session) => {
+      const submission = await Submission.findForAdmin(req.params.id).session(session);
+      if (!submission) {
+        return { status: 404, body: { error: 'Submission not found' } };
       }
-      acc[timestamp].items.push({
-        sku: entry.productDetails.sku,
-        name: entry.productDetails.name,
-        price: entry.productDetails.price,
-        unit: entry.productDetails.unit,
-        orderAmount: entry.orderAmount
-      });
-      return acc;
-    }, {});
+      return changeSubmissionStatus(submission, status, req.user.id, session);
+    });
 
-    const result = Object.values(groupedHistory);
-    res.json(result);
+    sendIdempotentResult(res, result);
   } catch (error) {
-    console.error('Error fetching order history:', error);
+    console.error('Error updating submission status:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Archive order
-router.post('/archive-order/:customerId/:submittedAt', authenticateToken, async (req, res) => {
+// Record a shipment (partial deliveries, short-picks and substitutions per line)
+router.post('/submissions/:id/shipments', authenticateToken, requirePermission('orders.process'), validate(schemas.recordShipment), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Access denied' });
+    const result = await runIdempotent({
+      key: req.get('Idempotency-Key'),
+      ownerId: req.user.id,
+      scope: 'record-shipment',
+      body: { submissionId: req.params.id, ...req.body }
+    }, async (session) => {
+      const submission = await Submission.findForAdmin(req.params.id).session(session);
+      if (!submission) {
+        return { status: 404, body: { error: 'Submission not found' } };
+      }
+
+      return recordShipment(submission, req.body, req.user.id, session);
+    });
+
+    sendIdempotentResult(res, result);
+  } catch (error) {
+    console.error('Error recording shipment:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get the comment thread on a submission (marks customer comments as read)
+router.get('/submissions/:id/comments', authenticateToken, requirePermission('orders.view'), validate(schemas.listComments), async (req, res) => {
+  try {
+    const submission = await Submission.findForAdmin(req.params.id);
+    if (!submission) {
+      return res.status(404).json({ error: 'Submission not found' });
     }
 
-    const { customerId, submittedAt } = req.params;
-    const submissionDate = new Date(submittedAt);
+    res.json(await commentThread(submission, 'admin'));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const result = await OrderHistory.updateMany(
-      {
-        customerId: customerId,
-        submittedAt: submissionDate
-      },
-      {
-        isArchived: true,
-        archivedAt: new Date()
-      }
-    );
+// Comment on a submission, or on one of its lines
+router.post('/submissions/:id/comments', authenticateToken, requirePermission('orders.process'), validate(schemas.postComment), async (req, res) => {
+  try {
+    const submission = await Submission.findForAdmin(req.params.id);
+    if (!submission) {
+      return res.status(404).json({ error: 'Submission not found' });
+    }
 
-    await Order.updateMany(
-      {
-        customerId: customerId,
-        lastSubmittedTimestamp: submissionDate
-      },
-      {
-        lastSubmittedAmount: 0,
-        lastSubmittedTimestamp: null
-      }
-    );
+    const result = await postComment(submission, req.body, req.user);
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    res.json({
-      message: 'Order archived successfully',
-      modifiedCount: result.modifiedCount
+// Archive order - closes the submission (fulfilled unless cancelled) and hides it from history.
+// Runs in one transaction so released stock and the archive commit together.
+router.post('/archive-order/:submissionId', authenticateToken, requirePermission('orders.process'), validate(schemas.archiveOrder), async (req, res) => {
+  try {
+    const result = await runIdempotent({
+      key: req.get('Idempotency-Key'),
+      ownerId: req.user.id,
+      scope: 'archive-order',
+      body: { submissionId: req.params.submissionId }
+    }, async (session) => {
+      const submission = await Submission.findForAdmin(req.params.submissionId).session(session);
+      if (!submission) {
+        return { status: 404, body: { error: 'Submission not found' } };
+      }
+      return archiveSubmission(submission, req.user.id, session);
     });
+
+    sendIdempotentResult(res, result);
   } catch (error) {
     console.error('Error archiving order:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Master Products Routes
-router.get('/manage-products', authenticateToken, async (req, res) => {
+// Tax rates per product tax category
+router.get('/tax-rates', authenticateToken, requirePermission('catalog.view'), async (req, res) => {
+  try {
+    const rates = await TaxRate.find();
+    const ratesByCategory = new Map(rates.map(rate => [rate.category, rate]));
+
+    // Categories without a stored rate are charged 0%
+    res.json(TaxRate.TAX_CATEGORIES.map(category => ({
+      category,
+      rate: ratesByCategory.has(category) ? ratesByCategory.get(category).rate : 0,
+      lastUpdated: ratesByCategory.has(category) ? ratesByCategory.get(category).lastUpdated : null
+    })));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Set the tax rate for a category (applies to orders submitted from now on)
+router.put('/tax-rates/:category', authenticateToken, requirePermission('settings.manage'), validate(schemas.updateTaxRate), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Access denied' });
+    const rate = await TaxRate.findOneAndUpdate(
+      { category: req.params.category },
+      { rate: req.body.rate, updatedBy: req.user.id, lastUpdated: new Date() },
+      { upsert: true, new: true }
+    );
+
+    res.json({ message: `Tax rate for ${rate.category} set to ${rate.rate}%`, rate });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Exchange rates from the base currency
+router.get('/exchange-rates', authenticateToken, requirePermission('catalog.view'), async (req, res) => {
+  try {
+    const rates = await ExchangeRate.find().sort({ currency: 1 });
+    res.json({ baseCurrency: BASE_CURRENCY, rates });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Set the exchange rate for a currency (applies to orders submitted from now on)
+router.put('/exchange-rates/:currency', authenticateToken, requirePermission('settings.manage'), validate(schemas.updateExchangeRate), async (req, res) => {
+  try {
+    const currency = req.params.currency.toUpperCase();
+    if (currency === BASE_CURRENCY) {
+      return res.status(400).json({ error: `${BASE_CURRENCY} is the base currency` });
     }
 
-    const products = await MasterProduct.find().sort({ sku: 1 });
-    res.json(products);
+    const rate = await ExchangeRate.findOneAndUpdate(
+      { currency },
+      { rate: req.body.rate, updatedBy: req.user.id, lastUpdated: new Date() },
+      { upsert: true, new: true }
+    );
+
+    res.json({ message: `1 ${BASE_CURRENCY} = ${rate.rate} ${currency}`, rate });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-router.post('/manage-products', authenticateToken, async (req, res) => {
+// Remove an exchange rate no customer is invoiced in
+router.delete('/exchange-rates/:currency', authenticateToken, requirePermission('settings.manage'), validate(schemas.deleteExchangeRate), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Access denied' });
+    const currency = req.params.currency.toUpperCase();
+    const customersUsing = await Customer.countDocuments({ currency });
+    if (customersUsing > 0) {
+      return res.status(400).json({ error: `${customersUsing} customer(s) are invoiced in ${currency}` });
+    }
+
+    const rate = await ExchangeRate.findOneAndDelete({ currency });
+    if (!rate) {
+      return res.status(404).json({ error: 'Exchange rate not found' });
     }
 
-    const { sku, name, price, unit } = req.body;
+    res.json({ message: `Exchange rate for ${currency} deleted` });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Master Products Routes
+// One page of master products by SKU (search on sku/name, filter by category)
+router.get('/manage-products', authenticateToken, requirePermission('catalog.view'), validate(schemas.listMasterProducts), async (req, res) => {
+  try {
+    const { q, category, cursor, limit } = req.query;
+    const query = MasterProduct.find(catalogFilter({ q, category })).populate('components.masterProductId', 'sku name');
+    res.json(await paginateBySku(query, { cursor, limit }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Categories used in the master catalog
+router.get('/product-categories', authenticateToken, requirePermission('catalog.view'), async (req, res) => {
+  try {
+    res.json(await categoryCounts(MasterProduct));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/manage-products', authenticateToken, requirePermission('catalog.manage'), validate(schemas.createMasterProduct), async (req, res) => {
+  try {
+    const { sku, name, price, unit, taxCategory, categories, discontinued, components, priceTiers } = req.body;
 
     const existingProduct = await MasterProduct.findOne({ sku: sku });
     if (existingProduct) {
@@ -412,26 +931,37 @@ router.post('/manage-products', authenticateToken, async (req, res) => {
       name,
       price,
       unit,
+      taxCategory,
+      categories: normalizeCategories(categories),
+      discontinued: Boolean(discontinued),
+      ...pickOrderRules(req.body),
+      ...pickStockFields(req.body),
+      priceTiers: priceTiers || [],
       lastUpdated: new Date()
     });
 
+    const resolved = await resolveComponents(product, components || []);
+    product.components = resolved.components;
+
+    const ruleErrors = [...resolved.errors, ...ruleConsistencyErrors(product), ...priceTierErrors(product), ...bundleStockErrors(product)];
+    if (ruleErrors.length > 0) {
+      return sendValidationErrors(res, ruleErrors);
+    }
+
     await product.save();
     res.status(201).json({ message: 'Product added successfully', product });
   } catch (error) {
-    if (error.code === 11000) {
+    // Only the SKU index; other duplicate keys are server errors
+    if (error.code === 11000 && error.keyPattern && error.keyPattern.sku) {
       return res.status(400).json({ error: 'SKU already exists' });
     }
     res.status(500).json({ error: error.message });
   }
 });
-// Update manage product
-router.put('/manage-products/:id', authenticateToken, async (req, res) => {
+// Update manage product; the changes are pushed to linked customer products
+router.put('/manage-products/:id', authenticateToken, requirePermission('catalog.manage'), validate(schemas.updateMasterProduct), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Access denied' });
-    }
-
-    const { sku, name, price, unit } = req.body;
+    const { sku, name, price, unit, taxCategory, categories, discontinued, components, priceTiers } = req.body;
 
     // Check if new SKU conflicts with another product
     if (sku) {
@@ -444,73 +974,369 @@ router.put('/manage-products/:id', authenticateToken, async (req, res) => {
       }
     }
 
-    const product = await MasterProduct.findByIdAndUpdate(
-      req.params.id,
-      { sku, name, price, unit, lastUpdated: new Date() },
+    const product = await MasterProduct.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const before = snapshot(product);
+    for (const [field, value] of Object.entries({ sku, name, price, unit, taxCategory, discontinued, priceTiers, ...pickOrderRules(req.body) })) {
+      if (value !== undefined) product[field] = value;
+    }
+    if (categories !== undefined) product.categories = normalizeCategories(categories);
+    Object.assign(product, pickStockFields(req.body));
+    product.lastUpdated = new Date();
+
+    const ruleErrors = [...ruleConsistencyErrors(product), ...priceTierErrors(product)];
+    if (components !== undefined && components !== null) {
+      const resolved = await resolveComponents(product, components);
+      product.components = resolved.components;
+      ruleErrors.unshift(...resolved.errors);
+    }
+    ruleErrors.push(...bundleStockErrors(product));
+    if (ruleErrors.length > 0) {
+      return sendValidationErrors(res, ruleErrors);
+    }
+
+    await product.save();
+    await recordVersion(product, before, req.user.id);
+    const sync = await propagateMaster(product, req.user.id);
+
+    res.json({ message: 'Product updated successfully', product, sync });
+  } catch (error) {
+    console.error('Error updating manage product:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Export the master catalog as CSV (the same columns the import accepts)
+router.get('/manage-products/export', authenticateToken, requirePermission('catalog.view'), async (req, res) => {
+  try {
+    res.type('text/csv');
+    res.attachment('master-products.csv');
+    res.send(toCsv(await exportCatalog()));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Import the master catalog from a CSV request body (Content-Type: text/csv), keyed by SKU.
+// With dryRun=true nothing is saved and the diff is returned; otherwise the whole change set
+// is applied in one transaction, or nothing is if any row has errors.
+router.post('/manage-products/import', authenticateToken, requirePermission('catalog.manage'), express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), validate(schemas.importCatalog), async (req, res) => {
+  try {
+    if (typeof req.body !== 'string' || req.body.trim() === '') {
+      return res.status(400).json({ error: 'Send the CSV file as the request body with Content-Type: text/csv' });
+    }
+
+    const rows = parseCsv(req.body);
+    const { dryRun, deleteMissing } = req.query;
+
+    if (dryRun) {
+      const plan = await planImport(rows, { deleteMissing });
+      return res.json({ dryRun: true, ...importSummary(plan) });
+    }
+
+    const result = await runIdempotent({
+      key: req.get('Idempotency-Key'),
+      ownerId: req.user.id,
+      scope: 'catalog-import',
+      body: { csv: req.body, deleteMissing: Boolean(deleteMissing) }
+    }, async (session) => {
+      const plan = await planImport(rows, { deleteMissing }, session);
+      if (plan.errors.length > 0) {
+        return {
+          status: 400,
+          body: { error: `Import not applied: ${plan.errors.length} row error(s)`, dryRun: false, ...importSummary(plan) }
+        };
+      }
+
+      const removedMedia = await applyImport(plan, req.user.id, session);
+      return { status: 200, body: { message: 'Catalog imported', dryRun: false, ...importSummary(plan) }, removedMedia };
+    });
+
+    // Files of deleted products go once the import has committed
+    if (result.removedMedia) await removeMediaFiles(...result.removedMedia);
+    sendIdempotentResult(res, result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Adjust stock on hand (goods received, damages, stock counts) without overwriting
+// changes made by concurrent submissions and shipments
+router.post('/manage-products/:id/stock-adjustments', authenticateToken, requirePermission('catalog.manage'), validate(schemas.adjustStock), async (req, res) => {
+  try {
+    const product = await MasterProduct.findOneAndUpdate(
+      { _id: req.params.id, stockOnHand: { $ne: null } },
+      { $inc: { stockOnHand: req.body.adjustment }, lastUpdated: new Date() },
       { new: true }
     );
 
+    if (!product) {
+      const exists = await MasterProduct.exists({ _id: req.params.id });
+      return exists
+        ? res.status(400).json({ error: 'Stock is not tracked for this product - set a stock level first' })
+        : res.status(404).json({ error: 'Product not found' });
+    }
+
+    res.json({
+      message: `Stock of ${product.sku} is now ${product.stockOnHand}`,
+      product,
+      available: availableStock(product)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Upload (or replace) a master product's image: the raw file as the request body with an
+// image Content-Type. A thumbnail is generated for the customer pages.
+router.put('/manage-products/:id/image', authenticateToken, requirePermission('catalog.manage'), express.raw({ type: 'image/*', limit: '5mb' }), validate(schemas.uploadProductImage), async (req, res) => {
+  try {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'Send the image file as the request body with an image Content-Type' });
+    }
+
+    const product = await MasterProduct.findById(req.params.id);
     if (!product) {
       return res.status(404).json({ error: 'Product not found' });
     }
 
-    res.json({ message: 'Product updated successfully', product });
+    const image = await storeProductImage(req.body);
+    if (!image) {
+      return res.status(400).json({ error: 'Image must be a JPEG, PNG, WebP or GIF file' });
+    }
+
+    const previous = product.image;
+    product.image = image;
+    await product.save();
+    await removeMediaFiles(previous);
+
+    res.json({ message: 'Image uploaded', product });
   } catch (error) {
-    console.error('Error updating manage product:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-router.delete('/manage-products/:id', authenticateToken, async (req, res) => {
+router.delete('/manage-products/:id/image', authenticateToken, requirePermission('catalog.manage'), validate(schemas.deleteProductMedia), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Access denied' });
+    const product = await MasterProduct.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
     }
 
-    const product = await MasterProduct.findByIdAndDelete(req.params.id);
+    const previous = product.image;
+    product.image = null;
+    await product.save();
+    await removeMediaFiles(previous);
+
+    res.json({ message: 'Image removed', product });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Upload (or replace) a master product's PDF spec sheet: the raw file as the request body
+// (Content-Type: application/pdf), with the download name in ?fileName=
+router.put('/manage-products/:id/spec-sheet', authenticateToken, requirePermission('catalog.manage'), express.raw({ type: 'application/pdf', limit: '10mb' }), validate(schemas.uploadSpecSheet), async (req, res) => {
+  try {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'Send the PDF file as the request body with Content-Type: application/pdf' });
+    }
 
+    const product = await MasterProduct.findById(req.params.id);
     if (!product) {
       return res.status(404).json({ error: 'Product not found' });
     }
 
-    res.json({ message: 'Master product deleted successfully' });
+    const specSheet = await storeSpecSheet(req.body, req.query.fileName);
+    if (!specSheet) {
+      return res.status(400).json({ error: 'Spec sheet must be a PDF file' });
+    }
+
+    const previous = product.specSheet;
+    product.specSheet = specSheet;
+    await product.save();
+    await removeMediaFiles(previous);
+
+    res.json({ message: 'Spec sheet uploaded', product });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Remove product from customer
-router.delete('/customer/:customerId/product/:productId', authenticateToken, async (req, res) => {
+router.delete('/manage-products/:id/spec-sheet', authenticateToken, requirePermission('catalog.manage'), validate(schemas.deleteProductMedia), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Access denied' });
+    const product = await MasterProduct.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
     }
 
-    const { customerId, productId } = req.params;
+    const previous = product.specSheet;
+    product.specSheet = null;
+    await product.save();
+    await removeMediaFiles(previous);
 
-    // Delete the product
-    const product = await Product.findOneAndDelete({
-      _id: productId,
-      customerId: customerId
-    });
+    res.json({ message: 'Spec sheet removed', product });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
+// Customer products that have drifted from their master product (pinned overrides, SKUs that
+// couldn't follow a rename) or lost it (master deleted)
+router.get('/manage-products/sync-report', authenticateToken, requirePermission('catalog.view'), async (req, res) => {
+  try {
+    res.json(await syncReport());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Tracked products at or below their low-stock threshold
+router.get('/inventory/low-stock', authenticateToken, requirePermission('catalog.view'), async (req, res) => {
+  try {
+    const products = await MasterProduct.find({
+      stockOnHand: { $ne: null },
+      $expr: { $lte: [{ $subtract: ['$stockOnHand', '$stockReserved'] }, '$lowStockThreshold'] }
+    }).sort({ sku: 1 });
+
+    res.json(products.map(product => ({
+      _id: product._id,
+      sku: product.sku,
+      name: product.name,
+      stockOnHand: product.stockOnHand,
+      stockReserved: product.stockReserved,
+      available: availableStock(product),
+      lowStockThreshold: product.lowStockThreshold,
+      stockPolicy: product.stockPolicy
+    })));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get master product version history (with the values in force on a date, if `at` is given)
+router.get('/manage-products/:id/versions', authenticateToken, requirePermission('catalog.view'), validate(schemas.masterProductVersions), async (req, res) => {
+  try {
+    const product = await MasterProduct.findById(req.params.id);
     if (!product) {
-      return res.status(404).json({ error: 'Product not found for this customer' });
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    res.json(await productHistory(product, req.query.at ? new Date(req.query.at) : null));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Revert master product to the values of an earlier version (recorded as a new version)
+router.post('/manage-products/:id/versions/:version/revert', authenticateToken, requirePermission('catalog.manage'), validate(schemas.revertMasterProduct), async (req, res) => {
+  try {
+    const product = await MasterProduct.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const before = snapshot(product);
+    const version = await applyVersion(product, Number(req.params.version));
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    const ruleErrors = [...ruleConsistencyErrors(product), ...priceTierErrors(product)];
+    if (ruleErrors.length > 0) {
+      return sendValidationErrors(res, ruleErrors);
+    }
+
+    await product.save();
+    await recordVersion(product, before, req.user.id, 'revert');
+    const sync = await propagateMaster(product, req.user.id);
+
+    res.json({ message: `Product reverted to version ${version.version}`, product, sync });
+  } catch (error) {
+    // Only the SKU index; other duplicate keys are server errors
+    if (error.code === 11000 && error.keyPattern && error.keyPattern.sku) {
+      return res.status(400).json({ error: 'SKU of that version is now used by another product' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.delete('/manage-products/:id', authenticateToken, requirePermission('catalog.manage'), validate(schemas.deleteMasterProduct), async (req, res) => {
+  try {
+    const bundles = await bundlesContaining([req.params.id]);
+    if (bundles.length > 0) {
+      return res.status(400).json({ error: `Product is part of bundle(s) ${bundles.map(bundle => bundle.sku).join(', ')} - remove it from them first` });
+    }
+
+    const product = await MasterProduct.findByIdAndDelete(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
     }
 
-    // Delete associated orders
-    await Order.deleteMany({
-      productId: productId,
-      customerId: customerId
+    await ProductVersion.deleteMany({ productId: product._id });
+    await removeMediaFiles(product.image, product.specSheet);
+    const discontinuedCount = await discontinueLinked(product._id);
+
+    res.json({
+      message: 'Master product deleted successfully',
+      discontinued: discontinuedCount  // Linked customer products, now shown in the sync report
     });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Delete associated order history
-    await OrderHistory.deleteMany({
-      productId: productId,
-      customerId: customerId
+// Remove product from customer
+// Refused while the product is on open orders (their lines hold stock); its closed order
+// history is deleted with it.
+router.delete('/customer/:customerId/product/:productId', authenticateToken, requirePermission('catalog.manage'), validate(schemas.removeCustomerProduct), async (req, res) => {
+  try {
+    const { customerId, productId } = req.params;
+
+    const result = await runIdempotent({
+      key: req.get('Idempotency-Key'),
+      ownerId: req.user.id,
+      scope: 'remove-customer-product',
+      body: { customerId, productId }
+    }, async (session) => {
+      const open = await openSubmissionsWith(productId, session);
+      if (open.length > 0) {
+        return openSubmissionsResult(open);
+      }
+
+      // Delete the product
+      const product = await Product.findOneAndDelete({
+        _id: productId,
+        customerId: customerId
+      }, { session });
+
+      if (!product) {
+        return { status: 404, body: { error: 'Product not found for this customer' } };
+      }
+
+      // Delete associated orders
+      await Order.deleteMany({
+        productId: productId,
+        customerId: customerId
+      }, { session });
+
+      // Delete associated order history
+      await OrderHistory.deleteMany({
+        productId: productId,
+        customerId: customerId
+      }, { session });
+
+      await ProductVersion.deleteMany({ productId }, { session });
+
+      return { status: 200, body: { message: 'Product removed from customer successfully' } };
     });
 
-    res.json({ message: 'Product removed from customer successfully' });
+    sendIdempotentResult(res, result);
   } catch (error) {
     console.error('Error removing product from customer:', error);
     res.status(500).json({ error: error.message });
@@ -518,12 +1344,8 @@ router.delete('/customer/:customerId/product/:productId', authenticateToken, asy
 });
 
 // Assign master products to customers
-router.post('/assign-products', authenticateToken, async (req, res) => {
+router.post('/assign-products', authenticateToken, requirePermission('catalog.manage'), validate(schemas.assignProducts), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Access denied' });
-    }
-
     const { customerIds, productIds } = req.body;
 
     if (!customerIds || !productIds || customerIds.length === 0 || productIds.length === 0) {
@@ -549,29 +1371,28 @@ router.post('/assign-products', authenticateToken, async (req, res) => {
       // For each product
       for (const masterProduct of masterProducts) {
         try {
-          // Check if product already exists for this customer
+          // Check if the customer already has this product (linked, or an unlinked copy with its SKU)
           const existingProduct = await Product.findOne({
             customerId: customerId,
-            sku: masterProduct.sku
+            $or: [{ masterProductId: masterProduct._id }, { sku: masterProduct.sku, masterProductId: null }]
           });
 
           if (existingProduct) {
-            // Update existing product with master product details
-            existingProduct.name = masterProduct.name;
-            existingProduct.price = masterProduct.price;
-            existingProduct.unit = masterProduct.unit;
+            // Re-sync with the master product. Pinned fields are kept, and an unlinked copy keeps
+            // its price: negotiated prices belong to the customer, and price lists take precedence.
+            const before = snapshot(existingProduct);
+            if (existingProduct.masterProductId) {
+              syncFromMaster(existingProduct, masterProduct);
+            } else {
+              linkToMaster(existingProduct, masterProduct);
+            }
             existingProduct.lastUpdated = new Date();
             await existingProduct.save();
+            await recordVersion(existingProduct, before, req.user.id, 'assign');
           } else {
-            // Create new product for customer
-            const newProduct = new Product({
-              customerId: customerId,
-              sku: masterProduct.sku,
-              name: masterProduct.name,
-              price: masterProduct.price,
-              unit: masterProduct.unit,
-              lastUpdated: new Date()
-            });
+            // Create new product for customer, following the master product
+            const newProduct = new Product({ customerId: customerId, lastUpdated: new Date() });
+            linkToMaster(newProduct, masterProduct);
             await newProduct.save();
           }
           successCount++;
@@ -596,12 +1417,8 @@ router.post('/assign-products', authenticateToken, async (req, res) => {
   }
 });
 
-router.get('/statistics', authenticateToken, async (req, res) => {
+router.get('/statistics', authenticateToken, requireAdmin, async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Access denied' });
-    }
-
     const totalCustomers = await Customer.countDocuments();
     const totalProducts = await Product.countDocuments();
     
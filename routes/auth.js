@@ -1,49 +1,80 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const Customer = require('../models/Customer');
+const CustomerUser = require('../models/CustomerUser');
 const Admin = require('../models/Admin');
-const { JWT_SECRET } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/auth');
+const { startSession, refreshSession, endSession } = require('../utils/sessions');
+const { permissionsFor, customerPermissionsFor } = require('../middleware/authorize');
+const { ipThrottle, accountThrottle, usernameThrottle, sendThrottled, recordFailure, clearFailures } = require('../utils/loginThrottle');
 
-// Customer Login (case-insensitive)
-router.post('/customer/login', async (req, res) => {
+// Unknown usernames are still checked against a password hash so they take as long to answer
+const DUMMY_HASH = bcrypt.hashSync('no-such-user', 10);
+
+// Customer Login (case-insensitive) - each user of a customer company logs in separately.
+// Failed logins are throttled per IP and per user (see utils/loginThrottle.js).
+router.post('/customer/login', validate(schemas.login), async (req, res) => {
   try {
     const { username, password } = req.body;
+    const attempt = { role: 'customer', username, ip: req.ip, userAgent: req.get('user-agent') };
 
-    // Find customer by username (case-insensitive)
-    const customer = await Customer.findOne({
-      username: { $regex: new RegExp(`^${username}$`, 'i') }
-    });
+    const ipLimit = await ipThrottle(req.ip);
+    if (ipLimit) {
+      return sendThrottled(res, ipLimit);
+    }
 
-    if (!customer) {
-      return res.status(400).json({ error: 'Invalid credentials' });
+    // Find user by username (case-insensitive)
+    const user = await CustomerUser.findByUsername(username);
+
+    const accountLimit = user ? accountThrottle(user) : await usernameThrottle('customer', username);
+    if (accountLimit) {
+      return sendThrottled(res, accountLimit);
     }
 
     // Check password
-    const validPassword = await bcrypt.compare(password, customer.password);
+    const validPassword = await bcrypt.compare(password, user ? user.password : DUMMY_HASH);
+    if (!user) {
+      await recordFailure(attempt);
+      return res.status(400).json({ error: 'Invalid credentials' });
+    }
     if (!validPassword) {
+      await recordFailure({ ...attempt, account: user });
+      return res.status(400).json({ error: 'Invalid credentials' });
+    }
+
+    const customer = await Customer.findById(user.customerId);
+    if (!customer) {
       return res.status(400).json({ error: 'Invalid credentials' });
     }
+    if (user.disabled) {
+      return res.status(403).json({ error: 'This login has been disabled - ask your account admin' });
+    }
 
     // Update last active
-    customer.lastActive = new Date();
+    const now = new Date();
+    clearFailures(user);
+    user.lastActive = now;
+    customer.lastActive = now;
+    await user.save();
     await customer.save();
 
-    // Create JWT token
-    const token = jwt.sign(
-      { id: customer._id, username: customer.username, role: 'customer' },
-      JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    // Start a session: short-lived access token plus refresh token
+    const { token, refreshToken } = await startSession(user, 'customer', req.get('user-agent'));
 
     res.json({
       token,
+      refreshToken,
       customer: {
         id: customer._id,
-        username: customer.username,
+        username: user.username,
         companyName: customer.companyName,
-        contactPerson: customer.contactPerson
+        contactPerson: customer.contactPerson,
+        userId: user._id,
+        name: user.name,
+        role: user.role,
+        permissions: customerPermissionsFor(user.role)
       }
     });
   } catch (error) {
@@ -51,34 +82,77 @@ router.post('/customer/login', async (req, res) => {
   }
 });
 
-// Admin Login
-router.post('/admin/login', async (req, res) => {
+// Admin Login (throttled like customer logins)
+router.post('/admin/login', validate(schemas.login), async (req, res) => {
   try {
     const { username, password } = req.body;
+    const attempt = { role: 'admin', username, ip: req.ip, userAgent: req.get('user-agent') };
+
+    const ipLimit = await ipThrottle(req.ip);
+    if (ipLimit) {
+      return sendThrottled(res, ipLimit);
+    }
 
     // Find admin in database (case-insensitive)
-    const admin = await Admin.findOne({
-      username: { $regex: new RegExp(`^${username}$`, 'i') }
-    });
+    const admin = await Admin.findByUsername(username);
 
-    if (!admin) {
-      return res.status(400).json({ error: 'Invalid credentials' });
+    const accountLimit = admin ? accountThrottle(admin) : await usernameThrottle('admin', username);
+    if (accountLimit) {
+      return sendThrottled(res, accountLimit);
     }
 
     // Check password
-    const validPassword = await bcrypt.compare(password, admin.password);
+    const validPassword = await bcrypt.compare(password, admin ? admin.password : DUMMY_HASH);
+    if (!admin) {
+      await recordFailure(attempt);
+      return res.status(400).json({ error: 'Invalid credentials' });
+    }
     if (!validPassword) {
+      await recordFailure({ ...attempt, account: admin });
       return res.status(400).json({ error: 'Invalid credentials' });
     }
 
-    // Create JWT token
-    const token = jwt.sign(
-      { id: admin._id, username: admin.username, role: 'admin' },
-      JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    if (admin.disabled) {
+      return res.status(403).json({ error: 'This admin account has been disabled' });
+    }
+
+    clearFailures(admin);
+    admin.lastLogin = new Date();
+    await admin.save();
+
+    // Start a session: short-lived access token plus refresh token
+    const { token, refreshToken } = await startSession(admin, 'admin', req.get('user-agent'));
+
+    res.json({
+      token,
+      refreshToken,
+      admin: {
+        id: admin._id,
+        username: admin.username,
+        role: admin.role,
+        permissions: permissionsFor(admin.role)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Exchange a refresh token for a new access token; the refresh token is rotated
+router.post('/refresh', validate(schemas.refresh), async (req, res) => {
+  try {
+    const { status, body } = await refreshSession(req.body.refreshToken);
+    res.status(status).json(body);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    res.json({ token });
+// Log out: the session's refresh token and access tokens stop working
+router.post('/logout', validate(schemas.logout), async (req, res) => {
+  try {
+    await endSession(req.body.refreshToken);
+    res.json({ message: 'Logged out' });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -1,44 +1,112 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
 const Customer = require('../models/Customer');
+const CustomerUser = require('../models/CustomerUser');
 const Product = require('../models/Product');
 const Order = require('../models/Order');
-const OrderHistory = require('../models/OrderHistory');
+const Submission = require('../models/Submission');
 const { authenticateToken } = require('../middleware/auth');
+const { requireCustomerPermission } = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/customer');
+const { withLines, reorderSubmission } = require('../utils/submissions');
+const { runIdempotent, sendIdempotentResult } = require('../utils/idempotency');
+const { commentThread, postComment, withUnreadComments } = require('../utils/comments');
+const { nextDelivery } = require('../utils/deliveryCalendar');
+const { earliestDeliveryDate } = require('../utils/orderRules');
+const { priceLines } = require('../utils/pricing');
+const { catalogFilter, paginateBySku, categoryCounts } = require('../utils/catalog');
+const { mastersForLines, availabilityStatus } = require('../utils/inventory');
+const { mediaUrls } = require('../utils/productMedia');
+const { startSession, revokeAccountSessions } = require('../utils/sessions');
+const { listUsers, createUser, updateUser, deleteUser } = require('../utils/customerUsers');
+const { formatApprovalRules } = require('../utils/approvals');
+const { isBundle, componentMasters, bundleComponents, bundleAvailability } = require('../utils/bundles');
 
-// Get customer's products
-router.get('/products', authenticateToken, async (req, res) => {
+// Get customer's products, one page at a time (search on sku/name, filter by category).
+// Discontinued products are left out.
+router.get('/products', authenticateToken, validate(schemas.listProducts), async (req, res) => {
   try {
     if (req.user.role !== 'customer') {
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    const products = await Product.find({ customerId: req.user.id });
+    const { q, category, ordered, cursor, limit } = req.query;
+    const filter = { customerId: req.user.id, discontinued: { $ne: true }, ...catalogFilter({ q, category }) };
+    if (ordered) {
+      const drafts = await Order.find({ customerId: req.user.id, orderAmount: { $gt: 0 } }).select('productId');
+      filter._id = { $in: drafts.map(draft => draft.productId) };
+    }
+
+    const { products, nextCursor } = await paginateBySku(Product.find(filter), { cursor, limit });
+    const customer = await Customer.findById(req.user.id).select('deliveryCalendar');
+    const now = new Date();
+
+    // Get order amounts for each product on this page
+    const orders = await Order.find({ customerId: req.user.id, productId: { $in: products.map(product => product._id) } });
+    const masters = await mastersForLines(products);
+    const mastersByProduct = new Map(products.map((product, index) => [product._id.toString(), masters[index]]));
+    const componentsById = await componentMasters(masters.filter(isBundle));
+    const ordersByProduct = new Map(orders.map(order => [order.productId.toString(), order]));
+
+    // Price each draft line from the customer's active price lists and quantity breaks
+    const pricing = await priceLines(req.user.id, products.map(product => {
+      const order = ordersByProduct.get(product._id.toString());
+      return { product, quantity: order ? order.orderAmount : 0 };
+    }), now);
 
-    // Get order amounts for each product
-    const productsWithOrders = await Promise.all(products.map(async (product) => {
-      const order = await Order.findOne({
-        customerId: req.user.id,
-        productId: product._id
-      });
+    const productsWithOrders = pricing.lines.map(({ product, listPrice, priceSource, unitPrice, lineTotal }) => {
+      const order = ordersByProduct.get(product._id.toString());
+      const master = mastersByProduct.get(product._id.toString());
+      const stock = isBundle(master)
+        ? bundleAvailability(master, componentsById)
+        : { availability: availabilityStatus(master), backorderAllowed: !master || master.stockPolicy !== 'block' };
 
       return {
         ...product.toObject(),
+        price: listPrice,
+        priceSource,
+        unitPrice,
+        lineTotal,
         orderAmount: order ? order.orderAmount : 0,
         lastUpdatedTimestamp: order ? order.lastUpdatedTimestamp : null,
-        lastSubmittedTimestamp: order ? order.lastSubmittedTimestamp : null
+        lastSubmittedTimestamp: order ? order.lastSubmittedTimestamp : null,
+        // Stock: in_stock, limited or out_of_stock; amounts over availability are back-ordered unless blocked
+        ...stock,
+        // What one unit of a bundle contains: [{ sku, name, quantity }]
+        components: isBundle(master)
+          ? bundleComponents(master, componentsById).map(component => ({ sku: component.master.sku, name: component.master.name, quantity: component.quantity }))
+          : [],
+        // Image, thumbnail and spec sheet of the master product
+        ...mediaUrls(master),
+        // Next delivery this product can make (respecting its lead time) and its cut-off
+        nextDelivery: customer ? nextDelivery(customer.deliveryCalendar, now, earliestDeliveryDate(product, now)) : null
       };
-    }));
+    });
+
+    res.json({ products: productsWithOrders, nextCursor });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Categories of the customer's products (for browsing)
+router.get('/categories', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'customer') {
+      return res.status(403).json({ error: 'Access denied' });
+    }
 
-    res.json(productsWithOrders);
+    res.json(await categoryCounts(Product, { customerId: new mongoose.Types.ObjectId(req.user.id), discontinued: { $ne: true } }));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Update customer password
-router.put('/password', authenticateToken, async (req, res) => {
+// Update the logged-in user's password
+router.put('/password', authenticateToken, validate(schemas.changePassword), async (req, res) => {
   try {
     if (req.user.role !== 'customer') {
       return res.status(403).json({ error: 'Access denied' });
@@ -46,23 +114,27 @@ router.put('/password', authenticateToken, async (req, res) => {
 
     const { currentPassword, newPassword } = req.body;
 
-    const customer = await Customer.findById(req.user.id);
-    if (!customer) {
-      return res.status(404).json({ error: 'Customer not found' });
+    const user = await CustomerUser.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
     }
 
     // Verify current password
-    const validPassword = await bcrypt.compare(currentPassword, customer.password);
+    const validPassword = await bcrypt.compare(currentPassword, user.password);
     if (!validPassword) {
       return res.status(400).json({ error: 'Current password is incorrect' });
     }
 
     // Hash and update new password
     const hashedPassword = await bcrypt.hash(newPassword, 10);
-    customer.password = hashedPassword;
-    await customer.save();
+    user.password = hashedPassword;
+    await user.save();
+
+    // Log out every other device; this one continues on a new session
+    const account = await revokeAccountSessions(user._id, 'customer');
+    const { token, refreshToken } = await startSession(account, 'customer', req.get('user-agent'));
 
-    res.json({ message: 'Password updated successfully' });
+    res.json({ message: 'Password updated successfully', token, refreshToken });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -75,41 +147,166 @@ router.get('/order-history', authenticateToken, async (req, res) => {
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    // Get ALL orders for this customer (including archived ones)
-    // Only exclude orders that are actually deleted from the database
-    const history = await OrderHistory.find({
-      customerId: req.user.id,
-      orderAmount: { $gt: 0 }
-    })
+    // Get ALL submissions for this customer (including archived ones)
+    // Only exclude submissions that are actually deleted from the database
+    const submissions = await Submission.find({ customerId: req.user.id })
       .sort({ submittedAt: -1 })
       .limit(100);
 
-    // Group by submission timestamp
-    const groupedHistory = history.reduce((acc, entry) => {
-      const timestamp = entry.submittedAt.toISOString();
-      if (!acc[timestamp]) {
-        acc[timestamp] = {
-          submittedAt: entry.submittedAt,
-          isArchived: entry.isArchived || false,
-          items: []
-        };
-      }
-      acc[timestamp].items.push({
-        sku: entry.productDetails.sku,
-        name: entry.productDetails.name,
-        price: entry.productDetails.price,
-        unit: entry.productDetails.unit,
-        orderAmount: entry.orderAmount
-      });
-      return acc;
-    }, {});
-
-    const result = Object.values(groupedHistory);
-    res.json(result);
+    res.json(await withUnreadComments(await withLines(submissions), 'customer'));
   } catch (error) {
     console.error('Error fetching customer order history:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
+// Orders waiting for the user's sign-off under the company's approval rules
+router.get('/approvals', authenticateToken, requireCustomerPermission('orders.approve'), async (req, res) => {
+  try {
+    const submissions = await Submission.find({ customerId: req.user.id, status: 'pending_approval' })
+      .sort({ submittedAt: 1 });
+
+    res.json(await withLines(submissions));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// The company's approval rules
+router.get('/approval-rules', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'customer') {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const customer = await Customer.findById(req.user.id).select('approvalRules');
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+    res.json(formatApprovalRules(customer.approvalRules));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Replace the approval rules: orders above minTotal (net, in the company's currency) or
+// containing any of the SKUs wait for an approver. Empty rules turn approval off.
+router.put('/approval-rules', authenticateToken, requireCustomerPermission('settings.manage'), validate(schemas.updateApprovalRules), async (req, res) => {
+  try {
+    const { minTotal, skus } = req.body;
+    const approvalRules = {
+      minTotal: minTotal !== undefined && minTotal !== null ? minTotal : null,
+      skus: [...new Set((skus || []).map(sku => sku.trim()))]
+    };
+
+    const customer = await Customer.findByIdAndUpdate(req.user.id, { approvalRules }, { new: true }).select('approvalRules');
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+    res.json({ message: 'Approval rules updated', ...formatApprovalRules(customer.approvalRules) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Copy a past submission back into the drafts (idempotent with an Idempotency-Key header)
+router.post('/order-history/:submissionId/reorder', authenticateToken, requireCustomerPermission('orders.place'), validate(schemas.reorder), async (req, res) => {
+  try {
+    const result = await runIdempotent({
+      key: req.get('Idempotency-Key'),
+      ownerId: req.user.id,
+      scope: 'reorder',
+      body: { submissionId: req.params.submissionId }
+    }, async (session) => {
+      const submission = await Submission.findOne({
+        _id: req.params.submissionId,
+        customerId: req.user.id
+      }).session(session);
+
+      if (!submission) {
+        return { status: 404, body: { error: 'Order not found' } };
+      }
+      return { status: 200, body: await reorderSubmission(submission, session) };
+    });
+
+    sendIdempotentResult(res, result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get the comment thread on one of the customer's orders (marks admin replies as read)
+router.get('/order-history/:submissionId/comments', authenticateToken, validate(schemas.listComments), async (req, res) => {
+  try {
+    if (req.user.role !== 'customer') {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const submission = await Submission.findOne({ _id: req.params.submissionId, customerId: req.user.id });
+    if (!submission) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    res.json(await commentThread(submission, 'customer'));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Comment on one of the customer's orders, or on one of its lines
+router.post('/order-history/:submissionId/comments', authenticateToken, requireCustomerPermission('orders.place'), validate(schemas.postComment), async (req, res) => {
+  try {
+    const submission = await Submission.findOne({ _id: req.params.submissionId, customerId: req.user.id });
+    if (!submission) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const result = await postComment(submission, req.body, req.user);
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Users of the customer's company (account admins only)
+router.get('/users', authenticateToken, requireCustomerPermission('users.manage'), async (req, res) => {
+  try {
+    res.json(await listUsers(req.user.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Invite a colleague: add a user with a first password to pass on to them
+router.post('/users', authenticateToken, requireCustomerPermission('users.manage'), validate(schemas.createUser), async (req, res) => {
+  try {
+    const result = await createUser(req.user.id, req.body, req.user.userId);
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'Username already exists' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Change a colleague's role, details or password, or disable their login
+router.put('/users/:id', authenticateToken, requireCustomerPermission('users.manage'), validate(schemas.updateUser), async (req, res) => {
+  try {
+    const result = await updateUser(req.user.id, req.params.id, req.body, req.user.userId);
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.delete('/users/:id', authenticateToken, requireCustomerPermission('users.manage'), validate(schemas.deleteUser), async (req, res) => {
+  try {
+    const result = await deleteUser(req.user.id, req.params.id, req.user.userId);
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,33 @@
+const express = require('express');
+const path = require('path');
+const router = express.Router();
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/files');
+const { getStorage } = require('../utils/storage');
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif',
+  '.pdf': 'application/pdf'
+};
+
+// Serve an uploaded file (product images, thumbnails, spec sheets). Keys are random and
+// never reused, so responses can be cached indefinitely; no login is needed so <img> tags work.
+router.get('/:key', validate(schemas.getFile), async (req, res) => {
+  try {
+    const contentType = CONTENT_TYPES[path.extname(req.params.key)];
+    const file = contentType ? await getStorage().read(req.params.key) : null;
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    res.set('Cache-Control', 'public, max-age=31536000, immutable');
+    res.type(contentType).send(file);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,17 +1,61 @@
 const express = require('express');
 const router = express.Router();
 const Order = require('../models/Order');
+const Submission = require('../models/Submission');
 const Product = require('../models/Product');
-const OrderHistory = require('../models/OrderHistory');
 const { authenticateToken } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { requireCustomerPermission } = require('../middleware/authorize');
+const { requireOwnedProducts } = require('../middleware/ownership');
+const { enforceOrderRules } = require('../middleware/orderRules');
+const { resolveDeliveryDate } = require('../middleware/deliveryCalendar');
+const schemas = require('../validation/order');
+const { runIdempotent, sendIdempotentResult } = require('../utils/idempotency');
+const { saveDrafts, submitOrders, amendSubmission, cancelSubmission, approveSubmission, rejectSubmission } = require('../utils/submissions');
+const { priceLines } = require('../utils/pricing');
+const { applyTax } = require('../utils/tax');
 
-// Update order amount (draft) - by product ID in URL
-router.put('/:productId', authenticateToken, async (req, res) => {
+// Ownership checks for the product(s) each route refers to
+const ownsProductParam = requireOwnedProducts(req => [{ field: 'productId', productId: req.params.productId }]);
+const ownsProductBody = requireOwnedProducts(req => [{ field: 'productId', productId: req.body.productId }]);
+const ownsOrderLines = requireOwnedProducts(req => req.body.orders.map((order, index) => ({
+  field: `orders[${index}].productId`,
+  productId: order.productId
+})));
+
+// Ordering rule checks (MOQ, pack multiple, maximum, lead time) for the same products
+const rulesForProductParam = enforceOrderRules(req => [
+  { field: 'orderAmount', productId: req.params.productId, quantity: req.body.orderAmount }
+]);
+const rulesForProductBody = enforceOrderRules(req => [
+  { field: 'orderAmount', productId: req.body.productId, quantity: req.body.orderAmount }
+]);
+const rulesForOrderLines = enforceOrderRules(req => req.body.orders.map((order, index) => ({
+  field: `orders[${index}].orderAmount`,
+  productId: order.productId,
+  quantity: order.orderAmount
+})));
+
+// Load the customer's own submission from :id; amended lines are checked against its delivery
+// date (orders without one were for delivery straight away)
+const loadOwnSubmission = async (req, res, next) => {
   try {
-    if (req.user.role !== 'customer') {
-      return res.status(403).json({ error: 'Access denied' });
+    const submission = await Submission.findOne({ _id: req.params.id, customerId: req.user.id });
+    if (!submission) {
+      return res.status(404).json({ error: 'Order not found' });
     }
 
+    req.submission = submission;
+    req.delivery = { deliveryDate: submission.deliveryDate || submission.submittedAt };
+    next();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Update order amount (draft) - by product ID in URL
+router.put('/:productId', authenticateToken, requireCustomerPermission('orders.place'), validate(schemas.updateByParam), ownsProductParam, rulesForProductParam, async (req, res) => {
+  try {
     const { productId } = req.params;
     const { orderAmount } = req.body;
 
@@ -31,12 +75,8 @@ router.put('/:productId', authenticateToken, async (req, res) => {
 });
 
 // Update order amount (draft) - legacy endpoint
-router.post('/update', authenticateToken, async (req, res) => {
+router.post('/update', authenticateToken, requireCustomerPermission('orders.place'), validate(schemas.update), ownsProductBody, rulesForProductBody, async (req, res) => {
   try {
-    if (req.user.role !== 'customer') {
-      return res.status(403).json({ error: 'Access denied' });
-    }
-
     const { productId, orderAmount } = req.body;
 
     const updatedOrder = await Order.findOneAndUpdate(
@@ -54,81 +94,163 @@ router.post('/update', authenticateToken, async (req, res) => {
   }
 });
 
-// Update all draft orders
-router.post('/update-all', authenticateToken, async (req, res) => {
+// Update all draft orders (atomic; idempotent with an Idempotency-Key header)
+router.post('/update-all', authenticateToken, requireCustomerPermission('orders.place'), validate(schemas.updateAll), ownsOrderLines, rulesForOrderLines, async (req, res) => {
   try {
-    if (req.user.role !== 'customer') {
-      return res.status(403).json({ error: 'Access denied' });
-    }
-
     const { orders } = req.body;
-    const timestamp = new Date();
-
-    for (const order of orders) {
-      await Order.findOneAndUpdate(
-        { customerId: req.user.id, productId: order.productId },
-        {
-          orderAmount: order.orderAmount,
-          lastUpdatedTimestamp: timestamp
-        },
-        { upsert: true, new: true }
-      );
-    }
 
-    res.json({ message: 'All drafts updated successfully', timestamp });
+    const result = await runIdempotent({
+      key: req.get('Idempotency-Key'),
+      ownerId: req.user.id,
+      scope: 'update-all',
+      body: req.body
+    }, async (session) => ({
+      status: 200,
+      body: await saveDrafts(req.user.id, orders, session)
+    }));
+
+    sendIdempotentResult(res, result);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Submit all orders
-router.post('/submit-all', authenticateToken, async (req, res) => {
+// Price order amounts without saving them: line totals (with quantity breaks) and the order total
+router.post('/quote', authenticateToken, requireCustomerPermission('orders.place'), validate(schemas.quote), ownsOrderLines, async (req, res) => {
   try {
-    if (req.user.role !== 'customer') {
-      return res.status(403).json({ error: 'Access denied' });
-    }
+    const { orders } = req.body;
+    const products = await Product.find({ _id: { $in: orders.map(order => order.productId) }, customerId: req.user.id });
+    const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+    const pricing = await applyTax(req.user.id, await priceLines(req.user.id, orders.map(order => ({
+      product: productsById.get(order.productId),
+      quantity: order.orderAmount
+    }))));
+
+    res.json({
+      lines: pricing.lines.map(line => ({
+        productId: line.product._id,
+        orderAmount: line.quantity,
+        listPrice: line.listPrice,
+        unitPrice: line.unitPrice,
+        lineTotal: line.lineTotal,
+        taxRate: line.taxRate
+      })),
+      lineCount: pricing.lineCount,
+      totalQuantity: pricing.totalQuantity,
+      totalAmount: pricing.totalAmount,
+      currency: pricing.currency,
+      netAmount: pricing.netAmount,
+      taxAmount: pricing.taxAmount,
+      grossAmount: pricing.grossAmount,
+      taxBreakdown: pricing.taxBreakdown
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
+// Submit all orders (atomic; idempotent with an Idempotency-Key header)
+// The submission is stamped with its target delivery date from the customer's calendar.
+// Orders matching the customer's approval rules come back as pending_approval.
+router.post('/submit-all', authenticateToken, requireCustomerPermission('orders.place'), validate(schemas.submitAll), ownsOrderLines, resolveDeliveryDate, rulesForOrderLines, async (req, res) => {
+  try {
     const { orders } = req.body;
-    const timestamp = new Date();
-
-    for (const order of orders) {
-      const { productId, orderAmount } = order;
-
-      // Get product details for history
-      const product = await Product.findById(productId);
-      if (!product) continue;
-
-      // Save to order history (only if quantity > 0)
-      if (orderAmount > 0) {
-        const historyEntry = new OrderHistory({
-          customerId: req.user.id,
-          productId: productId,
-          orderAmount: orderAmount,
-          submittedAt: timestamp,
-          productDetails: {
-            sku: product.sku,
-            name: product.name,
-            price: product.price,
-            unit: product.unit
-          }
-        });
-        await historyEntry.save();
+
+    const result = await runIdempotent({
+      key: req.get('Idempotency-Key'),
+      ownerId: req.user.id,
+      scope: 'submit-all',
+      body: req.body
+    }, (session) => submitOrders(req.user.id, orders, session, req.delivery, req.user.userId));
+
+    sendIdempotentResult(res, result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Amend a submitted order (before it is acknowledged and before its cut-off), or edit one awaiting approval
+router.put('/submissions/:id', authenticateToken, requireCustomerPermission('orders.place'), validate(schemas.amendSubmission), ownsOrderLines, loadOwnSubmission, rulesForOrderLines, async (req, res) => {
+  try {
+    const result = await runIdempotent({
+      key: req.get('Idempotency-Key'),
+      ownerId: req.user.id,
+      scope: 'amend-submission',
+      body: { id: req.params.id, ...req.body }
+    }, async (session) => {
+      // Re-read inside the transaction so a concurrent acknowledgement wins
+      const submission = await Submission.findById(req.submission._id).session(session);
+      return amendSubmission(submission, req.body.orders, req.user.userId, session);
+    });
+
+    sendIdempotentResult(res, result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Cancel a submitted order (before it is acknowledged and before its cut-off)
+router.post('/submissions/:id/cancel', authenticateToken, requireCustomerPermission('orders.place'), validate(schemas.cancelSubmission), async (req, res) => {
+  try {
+    const result = await runIdempotent({
+      key: req.get('Idempotency-Key'),
+      ownerId: req.user.id,
+      scope: 'cancel-submission',
+      body: { id: req.params.id }
+    }, async (session) => {
+      const submission = await Submission.findOne({ _id: req.params.id, customerId: req.user.id }).session(session);
+      if (!submission) {
+        return { status: 404, body: { error: 'Order not found' } };
       }
+      return cancelSubmission(submission, req.user.userId, session);
+    });
 
-      // Update current order - set submitted amount and reset draft
-      const updatedOrder = await Order.findOneAndUpdate(
-        { customerId: req.user.id, productId: productId },
-        {
-          lastSubmittedAmount: orderAmount,
-          lastSubmittedTimestamp: timestamp,
-          orderAmount: 0,
-          lastUpdatedTimestamp: timestamp
-        },
-        { new: true, upsert: true }
-      );
-    }
+    sendIdempotentResult(res, result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Approve an order awaiting approval; it is sent on to us
+router.post('/submissions/:id/approve', authenticateToken, requireCustomerPermission('orders.approve'), validate(schemas.approveSubmission), async (req, res) => {
+  try {
+    const result = await runIdempotent({
+      key: req.get('Idempotency-Key'),
+      ownerId: req.user.id,
+      scope: 'approve-submission',
+      body: { id: req.params.id }
+    }, async (session) => {
+      const submission = await Submission.findOne({ _id: req.params.id, customerId: req.user.id }).session(session);
+      if (!submission) {
+        return { status: 404, body: { error: 'Order not found' } };
+      }
+      return approveSubmission(submission, req.user.userId, session);
+    });
+
+    sendIdempotentResult(res, result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Reject an order awaiting approval, with a reason for the buyer
+router.post('/submissions/:id/reject', authenticateToken, requireCustomerPermission('orders.approve'), validate(schemas.rejectSubmission), async (req, res) => {
+  try {
+    const result = await runIdempotent({
+      key: req.get('Idempotency-Key'),
+      ownerId: req.user.id,
+      scope: 'reject-submission',
+      body: { id: req.params.id, ...req.body }
+    }, async (session) => {
+      const submission = await Submission.findOne({ _id: req.params.id, customerId: req.user.id }).session(session);
+      if (!submission) {
+        return { status: 404, body: { error: 'Order not found' } };
+      }
+      return rejectSubmission(submission, req.user.userId, req.body.reason, session);
+    });
 
-    res.json({ message: 'Orders submitted successfully', timestamp });
+    sendIdempotentResult(res, result);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -0,0 +1,100 @@
+const express = require('express');
+const router = express.Router();
+const Customer = require('../models/Customer');
+const PriceList = require('../models/PriceList');
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/authorize');
+const { validate, sendValidationErrors } = require('../middleware/validate');
+const schemas = require('../validation/priceList');
+const { priceListErrors } = require('../utils/pricing');
+
+// Admin: Get price lists (optionally for one customer and/or of one type)
+router.get('/', authenticateToken, requirePermission('catalog.view'), validate(schemas.list), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.customerId) filter.customerId = req.query.customerId;
+    if (req.query.type) filter.type = req.query.type;
+
+    const priceLists = await PriceList.find(filter)
+      .populate('customerId', 'companyName')
+      .sort({ type: 1, effectiveFrom: -1 });
+    res.json(priceLists);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Admin: Create price list (base, customer override or contract)
+router.post('/', authenticateToken, requirePermission('catalog.manage'), validate(schemas.create), async (req, res) => {
+  try {
+    const { name, type, customerId, effectiveFrom, effectiveTo, prices } = req.body;
+
+    if (customerId && !(await Customer.exists({ _id: customerId }))) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const priceList = new PriceList({
+      name,
+      type,
+      customerId: customerId || null,
+      effectiveFrom,
+      effectiveTo: effectiveTo || null,
+      prices
+    });
+
+    const errors = priceListErrors(priceList);
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+
+    await priceList.save();
+    res.status(201).json({ message: 'Price list created successfully', priceList });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Admin: Update price list (sending effectiveTo: null makes it open-ended)
+router.put('/:id', authenticateToken, requirePermission('catalog.manage'), validate(schemas.update), async (req, res) => {
+  try {
+    const priceList = await PriceList.findById(req.params.id);
+    if (!priceList) {
+      return res.status(404).json({ error: 'Price list not found' });
+    }
+
+    const { name, effectiveFrom, prices } = req.body;
+    for (const [field, value] of Object.entries({ name, effectiveFrom, prices })) {
+      if (value !== undefined) priceList[field] = value;
+    }
+    if (req.body.effectiveTo !== undefined) {
+      priceList.effectiveTo = req.body.effectiveTo || null;
+    }
+    priceList.lastUpdated = new Date();
+
+    const errors = priceListErrors(priceList);
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+
+    await priceList.save();
+    res.json({ message: 'Price list updated successfully', priceList });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Admin: Delete price list
+router.delete('/:id', authenticateToken, requirePermission('catalog.manage'), validate(schemas.remove), async (req, res) => {
+  try {
+    const priceList = await PriceList.findByIdAndDelete(req.params.id);
+    if (!priceList) {
+      return res.status(404).json({ error: 'Price list not found' });
+    }
+
+    res.json({ message: 'Price list deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -3,16 +3,31 @@ const router = express.Router();
 const Customer = require('../models/Customer');
 const Product = require('../models/Product');
 const Order = require('../models/Order');
+const MasterProduct = require('../models/MasterProduct');
+const ProductVersion = require('../models/ProductVersion');
 const { authenticateToken } = require('../middleware/auth');
-
-// Admin: Add product and assign to customer
-router.post('/', authenticateToken, async (req, res) => {
+const { requirePermission } = require('../middleware/authorize');
+const { validate, sendValidationErrors } = require('../middleware/validate');
+const schemas = require('../validation/product');
+const { pickOrderRules, ruleConsistencyErrors } = require('../utils/orderRules');
+const { PINNABLE_FIELDS, plainValue, linkToMaster } = require('../utils/masterSync');
+const { priceTierErrors } = require('../utils/pricing');
+const { snapshot, recordVersion, productHistory, applyVersion } = require('../utils/productVersions');
+const { normalizeCategories } = require('../utils/catalog');
+const { runIdempotent, sendIdempotentResult } = require('../utils/idempotency');
+const { openSubmissionsWith, openSubmissionsResult } = require('../utils/submissions');
+
+// Value an unpinned field of a customer-only product falls back to (undefined = keep the current one)
+function defaultValue(field) {
+  if (field === 'priceTiers' || field === 'categories') return [];
+  const value = Product.schema.path(field).defaultValue;
+  return typeof value === 'function' ? undefined : value;
+}
+
+// Admin: Add a customer-only product (not linked to the master catalog)
+router.post('/', authenticateToken, requirePermission('catalog.manage'), validate(schemas.create), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Access denied' });
-    }
-
-    const { customerId, sku, name, price, unit } = req.body;
+    const { customerId, sku, name, price, unit, taxCategory, categories, priceTiers } = req.body;
 
     const customer = await Customer.findById(customerId);
     if (!customer) {
@@ -36,9 +51,18 @@ router.post('/', authenticateToken, async (req, res) => {
       name,
       price,
       unit,
+      taxCategory,
+      categories: normalizeCategories(categories),
+      ...pickOrderRules(req.body),
+      priceTiers: priceTiers || [],
       lastUpdated: new Date()
     });
 
+    const ruleErrors = [...ruleConsistencyErrors(product), ...priceTierErrors(product)];
+    if (ruleErrors.length > 0) {
+      return sendValidationErrors(res, ruleErrors);
+    }
+
     await product.save();
     res.status(201).json({ message: 'Product added successfully', product });
   } catch (error) {
@@ -48,12 +72,8 @@ router.post('/', authenticateToken, async (req, res) => {
 });
 
 // Admin: Get all products for a customer
-router.get('/customer/:customerId', authenticateToken, async (req, res) => {
+router.get('/customer/:customerId', authenticateToken, requirePermission('catalog.view'), validate(schemas.listForCustomer), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Access denied' });
-    }
-
     const products = await Product.find({ customerId: req.params.customerId });
     res.json(products);
   } catch (error) {
@@ -62,49 +82,153 @@ router.get('/customer/:customerId', authenticateToken, async (req, res) => {
 });
 
 // Admin: Update product
-router.put('/:id', authenticateToken, async (req, res) => {
+// On a product linked to a master product, fields set here are pinned for this customer and stop
+// following the master; sending null for one unpins it and restores the master's value (or the
+// default for a customer-only product). A linked product's SKU always follows its master.
+// `masterProductId` links the product to a master product, or unlinks it when null.
+router.put('/:id', authenticateToken, requirePermission('catalog.manage'), validate(schemas.update), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Access denied' });
-    }
-
-    const { sku, name, price, unit } = req.body;
+    const { sku, masterProductId } = req.body;
 
-    const product = await Product.findByIdAndUpdate(
-      req.params.id,
-      { sku, name, price, unit, lastUpdated: new Date() },
-      { new: true }
-    );
+    const product = await Product.findById(req.params.id);
 
     if (!product) {
       return res.status(404).json({ error: 'Product not found' });
     }
 
+    const before = snapshot(product);
+
+    if (masterProductId === null) {
+      product.masterProductId = null;
+    } else if (masterProductId !== undefined && String(product.masterProductId) !== masterProductId) {
+      const linkTo = await MasterProduct.findById(masterProductId);
+      if (!linkTo) {
+        return res.status(404).json({ error: 'Master product not found' });
+      }
+      const alreadyLinked = await Product.exists({ _id: { $ne: product._id }, customerId: product.customerId, masterProductId });
+      if (alreadyLinked) {
+        return res.status(400).json({ error: `Customer already has a product linked to ${linkTo.sku}` });
+      }
+      linkToMaster(product, linkTo);
+    }
+
+    const masterProduct = product.masterProductId ? await MasterProduct.findById(product.masterProductId) : null;
+    if (sku !== undefined && sku !== null && sku !== product.sku) {
+      if (masterProduct) {
+        return sendValidationErrors(res, [{ field: 'sku', message: 'follows the master product - unlink the product to change it' }]);
+      }
+      product.sku = sku;
+    }
+
+    const pinned = new Set(product.overriddenFields);
+    for (const field of PINNABLE_FIELDS) {
+      const value = req.body[field];
+      if (value === undefined) continue;
+
+      if (value === null) {
+        pinned.delete(field);
+        const restored = masterProduct ? plainValue(masterProduct, field) : defaultValue(field);
+        if (restored !== undefined) product[field] = restored;
+      } else {
+        pinned.add(field);
+        product[field] = field === 'categories' ? normalizeCategories(value) : value;
+      }
+    }
+    product.overriddenFields = [...pinned];
+    product.lastUpdated = new Date();
+
+    const ruleErrors = [...ruleConsistencyErrors(product), ...priceTierErrors(product)];
+    if (ruleErrors.length > 0) {
+      return sendValidationErrors(res, ruleErrors);
+    }
+
+    await product.save();
+    await recordVersion(product, before, req.user.id);
+
     res.json({ message: 'Product updated successfully', product });
   } catch (error) {
-    if (error.code === 11000) {
+    // Only the SKU index; other duplicate keys are server errors
+    if (error.code === 11000 && error.keyPattern && error.keyPattern.sku) {
       return res.status(400).json({ error: 'SKU already exists for this customer' });
     }
     res.status(500).json({ error: error.message });
   }
 });
 
-// Admin: Delete product
-router.delete('/:id', authenticateToken, async (req, res) => {
+// Admin: Get product version history (with the values in force on a date, if `at` is given)
+router.get('/:id/versions', authenticateToken, requirePermission('catalog.view'), validate(schemas.versions), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Access denied' });
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
     }
 
-    await Order.deleteMany({ productId: req.params.id });
-
-    const product = await Product.findByIdAndDelete(req.params.id);
+    res.json(await productHistory(product, req.query.at ? new Date(req.query.at) : null));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
+// Admin: Revert product to the values of an earlier version (recorded as a new version)
+router.post('/:id/versions/:version/revert', authenticateToken, requirePermission('catalog.manage'), validate(schemas.revert), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
     if (!product) {
       return res.status(404).json({ error: 'Product not found' });
     }
 
-    res.json({ message: 'Product and associated orders deleted successfully' });
+    const before = snapshot(product);
+    const version = await applyVersion(product, Number(req.params.version));
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    const ruleErrors = [...ruleConsistencyErrors(product), ...priceTierErrors(product)];
+    if (ruleErrors.length > 0) {
+      return sendValidationErrors(res, ruleErrors);
+    }
+
+    await product.save();
+    await recordVersion(product, before, req.user.id, 'revert');
+
+    res.json({ message: `Product reverted to version ${version.version}`, product });
+  } catch (error) {
+    // Only the SKU index; other duplicate keys are server errors
+    if (error.code === 11000 && error.keyPattern && error.keyPattern.sku) {
+      return res.status(400).json({ error: 'SKU of that version is now used by another product for this customer' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Admin: Delete product
+router.delete('/:id', authenticateToken, requirePermission('catalog.manage'), validate(schemas.remove), async (req, res) => {
+  try {
+    const result = await runIdempotent({
+      key: req.get('Idempotency-Key'),
+      ownerId: req.user.id,
+      scope: 'delete-product',
+      body: { productId: req.params.id }
+    }, async (session) => {
+      // Lines on open orders hold stock; order history of closed orders is kept
+      const open = await openSubmissionsWith(req.params.id, session);
+      if (open.length > 0) {
+        return openSubmissionsResult(open);
+      }
+
+      const product = await Product.findByIdAndDelete(req.params.id, { session });
+
+      if (!product) {
+        return { status: 404, body: { error: 'Product not found' } };
+      }
+
+      await Order.deleteMany({ productId: product._id }, { session });
+      await ProductVersion.deleteMany({ productId: product._id }, { session });
+
+      return { status: 200, body: { message: 'Product and associated orders deleted successfully' } };
+    });
+
+    sendIdempotentResult(res, result);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
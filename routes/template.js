@@ -0,0 +1,136 @@
+const express = require('express');
+const router = express.Router();
+const OrderTemplate = require('../models/OrderTemplate');
+const { authenticateToken } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { requireCustomerPermission } = require('../middleware/authorize');
+const { requireOwnedProducts } = require('../middleware/ownership');
+const { enforceOrderRules } = require('../middleware/orderRules');
+const schemas = require('../validation/template');
+const { runIdempotent, sendIdempotentResult } = require('../utils/idempotency');
+const { loadTemplate } = require('../utils/templates');
+
+// Ownership check for template lines (optional on update)
+const ownsTemplateLines = requireOwnedProducts(req => (req.body.lines || []).map((line, index) => ({
+  field: `lines[${index}].productId`,
+  productId: line.productId
+})));
+
+const rulesForTemplateLines = enforceOrderRules(req => (req.body.lines || []).map((line, index) => ({
+  field: `lines[${index}].orderAmount`,
+  productId: line.productId,
+  quantity: line.orderAmount
+})));
+
+// Copy schedule settings from the request and work out the next run
+function applySchedule(template, schedule) {
+  if (!schedule) return;
+
+  for (const [field, value] of Object.entries(schedule)) {
+    template.set(`schedule.${field}`, value);
+  }
+  template.set('schedule.nextRunAt', template.schedule.enabled ? template.firstRunAfter() : null);
+}
+
+// Get customer's order templates
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'customer') {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const templates = await OrderTemplate.find({ customerId: req.user.id })
+      .collation({ locale: 'en', strength: 2 })
+      .sort({ name: 1 });
+    res.json(templates);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create order template
+router.post('/', authenticateToken, requireCustomerPermission('orders.place'), validate(schemas.create), ownsTemplateLines, rulesForTemplateLines, async (req, res) => {
+  try {
+    const { name, lines, schedule } = req.body;
+
+    const template = new OrderTemplate({
+      customerId: req.user.id,
+      name: name.trim(),
+      lines
+    });
+    applySchedule(template, schedule);
+
+    await template.save();
+    res.status(201).json({ message: 'Template saved successfully', template });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'A template with this name already exists' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update order template (name, lines and/or schedule)
+router.put('/:id', authenticateToken, requireCustomerPermission('orders.place'), validate(schemas.update), ownsTemplateLines, rulesForTemplateLines, async (req, res) => {
+  try {
+    const { name, lines, schedule } = req.body;
+
+    const template = await OrderTemplate.findOne({ _id: req.params.id, customerId: req.user.id });
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    if (name) template.name = name.trim();
+    if (lines) template.lines = lines;
+    applySchedule(template, schedule);
+    template.lastUpdated = new Date();
+
+    await template.save();
+    res.json({ message: 'Template updated successfully', template });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'A template with this name already exists' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete order template
+router.delete('/:id', authenticateToken, requireCustomerPermission('orders.place'), validate(schemas.remove), async (req, res) => {
+  try {
+    const template = await OrderTemplate.findOneAndDelete({ _id: req.params.id, customerId: req.user.id });
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    res.json({ message: 'Template deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Load template into drafts (replaces current draft amounts)
+router.post('/:id/load', authenticateToken, requireCustomerPermission('orders.place'), validate(schemas.load), async (req, res) => {
+  try {
+    const template = await OrderTemplate.findOne({ _id: req.params.id, customerId: req.user.id });
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const result = await runIdempotent({
+      key: req.get('Idempotency-Key'),
+      ownerId: req.user.id,
+      scope: 'load-template',
+      body: { templateId: req.params.id }
+    }, async (session) => ({
+      status: 200,
+      body: await loadTemplate(template, session)
+    }));
+
+    sendIdempotentResult(res, result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -3,7 +3,11 @@ const path = require('path');
 const cors = require('cors');
 const connectDB = require('./config/database');
 const initializeAdmin = require('./utils/initAdmin');
+const backfillSubmissions = require('./utils/backfillSubmissions');
+const backfillProductLinks = require('./utils/backfillProductLinks');
+const backfillCustomerUsers = require('./utils/backfillCustomerUsers');
 const { scheduleCleanup } = require('./utils/cleanup');
+const { scheduleTemplates } = require('./utils/templates');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -11,9 +15,19 @@ const customerRoutes = require('./routes/customer');
 const adminRoutes = require('./routes/admin');
 const orderRoutes = require('./routes/order');
 const productRoutes = require('./routes/product');
+const templateRoutes = require('./routes/template');
+const priceListRoutes = require('./routes/priceList');
+const fileRoutes = require('./routes/files');
 
 const app = express();
 
+// Behind a proxy (e.g. Render) set TRUST_PROXY to the number of proxies in front of the app,
+// so req.ip is the client's address - login throttling is per IP
+const trustedProxies = parseInt(process.env.TRUST_PROXY, 10);
+if (trustedProxies > 0) {
+  app.set('trust proxy', trustedProxies);
+}
+
 // Middleware
 app.use(express.json());
 app.use(cors());
@@ -23,16 +37,27 @@ app.use(express.static('public'));
 connectDB().then(() => {
   // Initialize admin account after DB connection
   initializeAdmin();
+  // Give legacy order history lines a submission document
+  backfillSubmissions();
+  // Link customer products saved before they referenced their master product
+  backfillProductLinks();
+  // Turn each customer's own login into the first user of the company
+  backfillCustomerUsers();
   // Schedule cleanup of archived orders
   scheduleCleanup();
+  // Schedule recurring order templates
+  scheduleTemplates();
 });
 
 // API Routes
 app.use('/api', authRoutes);
 app.use('/api/customer', customerRoutes);
+app.use('/api/customer/templates', templateRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/admin/products', productRoutes);
+app.use('/api/admin/price-lists', priceListRoutes);
+app.use('/api/files', fileRoutes);
 
 // Serve frontend pages
 app.get('/', (req, res) => {
@@ -0,0 +1,101 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Customer = require('../models/Customer');
+const CustomerUser = require('../models/CustomerUser');
+const MasterProduct = require('../models/MasterProduct');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const Submission = require('../models/Submission');
+const { runIdempotent } = require('../utils/idempotency');
+const { submitOrders, amendSubmission, approveSubmission } = require('../utils/submissions');
+const { connectDatabase, clearDatabase, disconnectDatabase } = require('./helpers/db');
+
+// A customer whose orders over 50 need approval, with a buyer and an approver
+async function setup() {
+  const customer = await Customer.create({
+    username: 'cafe',
+    companyName: 'Harbour Cafe',
+    contactPerson: 'Lee',
+    approvalRules: { minTotal: 50, skus: [] }
+  });
+  const [buyer, approver] = await CustomerUser.create([
+    { customerId: customer._id, username: 'cafe-buyer', password: 'x', name: 'Buyer', role: 'buyer' },
+    { customerId: customer._id, username: 'cafe-approver', password: 'x', name: 'Approver', role: 'approver' }
+  ]);
+  const master = await MasterProduct.create({ sku: 'BEANS', name: 'Beans', price: 2, unit: 'kg', stockOnHand: 100 });
+  const product = await Product.create({
+    customerId: customer._id,
+    masterProductId: master._id,
+    sku: 'BEANS',
+    name: 'Beans',
+    price: 2,
+    unit: 'kg'
+  });
+  return { customer, buyer, approver, master, product };
+}
+
+function amend(submissionId, orderAmount, product, revisedBy) {
+  return runIdempotent({}, async (session) => amendSubmission(
+    await Submission.findById(submissionId).session(session),
+    [{ productId: product._id, orderAmount }],
+    revisedBy._id,
+    session
+  ));
+}
+
+async function dashboardAmount(customer, product) {
+  return (await Order.findOne({ customerId: customer._id, productId: product._id })).lastSubmittedAmount;
+}
+
+describe('approval of amended orders', () => {
+  before(connectDatabase);
+  after(disconnectDatabase);
+  beforeEach(clearDatabase);
+
+  it('sends a submitted order back for approval when an amendment goes over the limit', async () => {
+    const { customer, buyer, master, product } = await setup();
+    const { body } = await runIdempotent({}, session =>
+      submitOrders(customer._id, [{ productId: product._id, orderAmount: 10 }], session, {}, buyer._id));
+    assert.equal(body.status, 'submitted');
+
+    const result = await amend(body.submissionId, 30, product, buyer);
+
+    assert.equal(result.body.status, 'pending_approval');
+    assert.equal(result.body.approvalReasons.length, 1);
+    const submission = await Submission.findById(body.submissionId);
+    assert.equal(submission.status, 'pending_approval');
+    assert.deepEqual(submission.approval.reasons, result.body.approvalReasons);
+    // Off the admin dashboard until approved, but the stock stays reserved
+    assert.equal(await dashboardAmount(customer, product), 0);
+    assert.equal((await MasterProduct.findById(master._id)).stockReserved, 30);
+  });
+
+  it('asks again when an order is amended over the limit after it was approved', async () => {
+    const { customer, buyer, approver, product } = await setup();
+    const { body } = await runIdempotent({}, session =>
+      submitOrders(customer._id, [{ productId: product._id, orderAmount: 30 }], session, {}, buyer._id));
+    assert.equal(body.status, 'pending_approval');
+
+    await runIdempotent({}, async (session) =>
+      approveSubmission(await Submission.findById(body.submissionId).session(session), approver._id, session));
+    assert.equal(await dashboardAmount(customer, product), 30);
+
+    const result = await amend(body.submissionId, 40, product, buyer);
+
+    assert.equal(result.body.status, 'pending_approval');
+    const submission = await Submission.findById(body.submissionId);
+    assert.equal(submission.approval.decidedAt, undefined);
+    assert.equal(await dashboardAmount(customer, product), 0);
+  });
+
+  it('lets an approver amend over the limit', async () => {
+    const { customer, approver, product } = await setup();
+    const { body } = await runIdempotent({}, session =>
+      submitOrders(customer._id, [{ productId: product._id, orderAmount: 10 }], session, {}, approver._id));
+
+    const result = await amend(body.submissionId, 30, product, approver);
+
+    assert.equal(result.body.status, 'submitted');
+    assert.equal(await dashboardAmount(customer, product), 30);
+  });
+});
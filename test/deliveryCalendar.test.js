@@ -0,0 +1,31 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveDelivery } = require('../utils/deliveryCalendar');
+
+// Monday morning
+const now = new Date(2026, 9, 19, 10, 0);
+
+describe('resolveDelivery', () => {
+  // Mondays and Thursdays, order by 17:00 the day before
+  const calendar = {
+    deliveryDays: [{ weekday: 1, cutoffDaysBefore: 1, cutoffTime: '17:00' }, { weekday: 4, cutoffDaysBefore: 1, cutoffTime: '17:00' }],
+    lateSubmission: 'roll_forward',
+    closures: []
+  };
+
+  it('picks the next delivery day whose cut-off is still open', () => {
+    const delivery = resolveDelivery(calendar, now);
+    assert.equal(delivery.deliveryDate.getTime(), new Date(2026, 9, 22).getTime());
+  });
+
+  it('skips delivery days before the lead times allow', () => {
+    const delivery = resolveDelivery(calendar, now, null, new Date(2026, 9, 24));
+    assert.equal(delivery.deliveryDate.getTime(), new Date(2026, 9, 26).getTime());
+    assert.equal(delivery.rolledForward, false);
+  });
+
+  it('keeps a requested delivery day', () => {
+    const delivery = resolveDelivery(calendar, now, new Date(2026, 9, 29), new Date(2026, 9, 24));
+    assert.equal(delivery.deliveryDate.getTime(), new Date(2026, 9, 29).getTime());
+  });
+});
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Database for tests that need one. Transactions need a replica set: MONGODB_TEST_URI points
+// at an existing one, otherwise a single-node set is started in memory (mongodb-memory-server
+// downloads mongod on first use; see "config" in package.json for the version).
+let replSet = null;
+
+async function connectDatabase() {
+  let uri = process.env.MONGODB_TEST_URI;
+  if (!uri) {
+    const { MongoMemoryReplSet } = require('mongodb-memory-server');
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+    uri = replSet.getUri();
+  }
+
+  await mongoose.connect(uri, { dbName: `supplier-portal-test-${process.pid}` });
+  // Collections and unique indexes must exist before the first transaction writes to them
+  await Promise.all(mongoose.modelNames().map(name => mongoose.model(name).init()));
+}
+
+async function clearDatabase() {
+  await Promise.all(Object.values(mongoose.connection.collections).map(collection => collection.deleteMany({})));
+}
+
+async function disconnectDatabase() {
+  await mongoose.connection.dropDatabase();
+  await mongoose.disconnect();
+  if (replSet) await replSet.stop();
+}
+
+module.exports = { connectDatabase, clearDatabase, disconnectDatabase };
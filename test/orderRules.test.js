@@ -0,0 +1,25 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { earliestDeliveryDate, earliestOrderDelivery, orderRuleErrors } = require('../utils/orderRules');
+
+// Monday morning
+const now = new Date(2026, 9, 19, 10, 0);
+
+describe('lead times', () => {
+  const product = { sku: 'CAKE', unit: 'each', leadTimeDays: 3 };
+
+  it('dates an order for its longest lead time', () => {
+    assert.equal(earliestOrderDelivery([{ leadTimeDays: 0 }, { leadTimeDays: 3 }, {}], now).getTime(), new Date(2026, 9, 22).getTime());
+    assert.equal(earliestOrderDelivery([{ leadTimeDays: 0 }, {}], now), null);
+  });
+
+  it('rejects a delivery date inside the notice period', () => {
+    const tooSoon = new Date(2026, 9, 20);
+    assert.equal(orderRuleErrors(product, 5, tooSoon).length, 1);
+    assert.deepEqual(orderRuleErrors(product, 5, earliestDeliveryDate(product, new Date(2026, 11, 1))), []);
+  });
+
+  it('leaves undated lines to be dated when submitted', () => {
+    assert.deepEqual(orderRuleErrors(product, 5, null), []);
+  });
+});
@@ -0,0 +1,190 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Customer = require('../models/Customer');
+const MasterProduct = require('../models/MasterProduct');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const OrderHistory = require('../models/OrderHistory');
+const Submission = require('../models/Submission');
+const { runIdempotent } = require('../utils/idempotency');
+const { planReservations } = require('../utils/inventory');
+const {
+  submitOrders,
+  amendSubmission,
+  cancelSubmission,
+  changeSubmissionStatus,
+  archiveSubmission,
+  openSubmissionsWith
+} = require('../utils/submissions');
+const { connectDatabase, clearDatabase, disconnectDatabase } = require('./helpers/db');
+
+const adminId = new mongoose.Types.ObjectId();
+
+// A customer ordering one master product with `stockOnHand` units tracked
+async function setup({ stockOnHand = 10, stockPolicy = 'backorder' } = {}) {
+  const customer = await Customer.create({ username: 'bakery', companyName: 'Corner Bakery', contactPerson: 'Sam' });
+  const master = await MasterProduct.create({ sku: 'FLOUR', name: 'Flour', price: 2, unit: 'kg', stockOnHand, stockPolicy });
+  const product = await Product.create({
+    customerId: customer._id,
+    masterProductId: master._id,
+    sku: 'FLOUR',
+    name: 'Flour',
+    price: 2,
+    unit: 'kg'
+  });
+  return { customer, master, product };
+}
+
+// Each step runs in its own transaction, as the routes do
+function submit(customer, orders) {
+  return runIdempotent({}, session => submitOrders(customer._id, orders, session));
+}
+
+function withSubmission(submissionId, work) {
+  return runIdempotent({}, async (session) => work(await Submission.findById(submissionId).session(session), session));
+}
+
+async function reserved(master) {
+  return (await MasterProduct.findById(master._id)).stockReserved;
+}
+
+async function dashboardAmount(customer, product) {
+  return (await Order.findOne({ customerId: customer._id, productId: product._id })).lastSubmittedAmount;
+}
+
+describe('stock reservations', () => {
+  before(connectDatabase);
+  after(disconnectDatabase);
+  beforeEach(clearDatabase);
+
+  it('reserves stock for submitted lines and back-orders the rest', async () => {
+    const { customer, master, product } = await setup();
+
+    const result = await submit(customer, [{ productId: product._id, orderAmount: 12 }]);
+
+    assert.equal(result.status, 200);
+    assert.deepEqual(result.body.backordered, [{ sku: 'FLOUR', name: 'Flour', backorderedAmount: 2 }]);
+    assert.equal(await reserved(master), 10);
+    const line = await OrderHistory.findOne({ submissionId: result.body.submissionId });
+    assert.equal(line.reservedAmount, 10);
+    assert.equal(line.backorderedAmount, 2);
+    assert.equal(await dashboardAmount(customer, product), 12);
+  });
+
+  it('refuses amounts over stock of a blocking product without saving anything', async () => {
+    const { customer, master, product } = await setup({ stockPolicy: 'block' });
+
+    const result = await submit(customer, [{ productId: product._id, orderAmount: 12 }]);
+
+    assert.equal(result.status, 400);
+    assert.equal(await Submission.countDocuments(), 0);
+    assert.equal(await OrderHistory.countDocuments(), 0);
+    assert.equal(await reserved(master), 0);
+  });
+
+  it('moves the reservation with an amendment', async () => {
+    const { customer, master, product } = await setup();
+    const { body } = await submit(customer, [{ productId: product._id, orderAmount: 4 }]);
+
+    const raised = await withSubmission(body.submissionId, (submission, session) =>
+      amendSubmission(submission, [{ productId: product._id, orderAmount: 7 }], null, session));
+    assert.equal(raised.status, 200);
+    assert.equal(await reserved(master), 7);
+
+    await withSubmission(body.submissionId, (submission, session) =>
+      amendSubmission(submission, [{ productId: product._id, orderAmount: 2 }], null, session));
+    assert.equal(await reserved(master), 2);
+    assert.equal((await OrderHistory.findOne({ submissionId: body.submissionId })).reservedAmount, 2);
+    assert.equal(await dashboardAmount(customer, product), 2);
+    assert.equal((await Submission.findById(body.submissionId)).totalQuantity, 2);
+  });
+
+  it('gives every line back its own reservation when lines share a master product', async () => {
+    const { master } = await setup();
+    await MasterProduct.updateOne({ _id: master._id }, { stockReserved: 10 });
+
+    // Two lines holding 5 each (e.g. bundles with a common component) both go up to 6
+    const line = { sku: 'FLOUR', masterProductId: master._id, quantity: 6, held: 5 };
+    const { plans, errors } = await planReservations([line, line]);
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(plans.map(plan => [plan.reservedAmount, plan.backorderedAmount, plan.delta]), [[5, 1, 0], [5, 1, 0]]);
+  });
+
+  it('releases stock and clears the dashboard when the customer cancels', async () => {
+    const { customer, master, product } = await setup();
+    const { body } = await submit(customer, [{ productId: product._id, orderAmount: 4 }]);
+
+    const result = await withSubmission(body.submissionId, (submission, session) =>
+      cancelSubmission(submission, null, session));
+
+    assert.equal(result.body.status, 'cancelled');
+    assert.equal(await reserved(master), 0);
+    assert.equal((await OrderHistory.findOne({ submissionId: body.submissionId })).reservedAmount, 0);
+    assert.equal(await dashboardAmount(customer, product), 0);
+  });
+
+  it('releases stock and clears the dashboard when an admin cancels', async () => {
+    const { customer, master, product } = await setup();
+    const { body } = await submit(customer, [{ productId: product._id, orderAmount: 4 }]);
+
+    const result = await withSubmission(body.submissionId, (submission, session) =>
+      changeSubmissionStatus(submission, 'cancelled', adminId, session));
+
+    assert.equal(result.status, 200);
+    assert.equal(await reserved(master), 0);
+    assert.equal(await dashboardAmount(customer, product), 0);
+  });
+
+  it('keeps the reservation while an admin moves the order on', async () => {
+    const { customer, master, product } = await setup();
+    const { body } = await submit(customer, [{ productId: product._id, orderAmount: 4 }]);
+
+    const result = await withSubmission(body.submissionId, (submission, session) =>
+      changeSubmissionStatus(submission, 'acknowledged', adminId, session));
+
+    assert.equal(result.status, 200);
+    assert.equal(await reserved(master), 4);
+    assert.equal(await dashboardAmount(customer, product), 4);
+  });
+
+  it('releases stock held by unshipped lines when an order is archived', async () => {
+    const { customer, master, product } = await setup();
+    const { body } = await submit(customer, [{ productId: product._id, orderAmount: 4 }]);
+
+    const result = await withSubmission(body.submissionId, (submission, session) =>
+      archiveSubmission(submission, adminId, session));
+
+    assert.equal(result.status, 200);
+    assert.equal(await reserved(master), 0);
+    const submission = await Submission.findById(body.submissionId);
+    assert.equal(submission.status, 'fulfilled');
+    assert.equal(submission.isArchived, true);
+    assert.equal((await OrderHistory.findOne({ submissionId: body.submissionId })).isArchived, true);
+    assert.equal(await dashboardAmount(customer, product), 0);
+  });
+
+  it('rolls back reservations when the transaction fails', async () => {
+    const { customer, master, product } = await setup();
+
+    await assert.rejects(runIdempotent({}, async (session) => {
+      await submitOrders(customer._id, [{ productId: product._id, orderAmount: 4 }], session);
+      throw new Error('Connection lost');
+    }), /Connection lost/);
+
+    assert.equal(await reserved(master), 0);
+    assert.equal(await Submission.countDocuments(), 0);
+    assert.equal(await OrderHistory.countDocuments(), 0);
+  });
+
+  it('counts a product as on order until its order is closed', async () => {
+    const { customer, product } = await setup();
+    const { body } = await submit(customer, [{ productId: product._id, orderAmount: 4 }]);
+
+    assert.deepEqual((await openSubmissionsWith(product._id)).map(submission => submission.orderNumber), [body.orderNumber]);
+
+    await withSubmission(body.submissionId, (submission, session) => cancelSubmission(submission, null, session));
+    assert.deepEqual(await openSubmissionsWith(product._id), []);
+  });
+});
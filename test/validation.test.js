@@ -0,0 +1,36 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateRequest } = require('../middleware/validate');
+const orderSchemas = require('../validation/order');
+
+const productA = '64b000000000000000000001';
+const productB = '64b000000000000000000002';
+
+function submitErrors(orders) {
+  return validateRequest({ params: {}, query: {}, body: { orders } }, orderSchemas.submitAll);
+}
+
+describe('order line validation', () => {
+  it('accepts one line per product', () => {
+    assert.deepEqual(submitErrors([
+      { productId: productA, orderAmount: 2 },
+      { productId: productB, orderAmount: 0 }
+    ]), []);
+  });
+
+  it('rejects a product listed twice, whatever the case of its ID', () => {
+    assert.deepEqual(submitErrors([
+      { productId: productA, orderAmount: 2 },
+      { productId: productB, orderAmount: 1 },
+      { productId: productA.toUpperCase(), orderAmount: 3 }
+    ]), [{ field: 'orders[2].productId', message: 'is listed more than once' }]);
+  });
+
+  it('reports missing and unknown fields with the line they belong to', () => {
+    assert.deepEqual(submitErrors([{ orderAmount: -1, price: 2 }]), [
+      { field: 'orders[0].productId', message: 'is required' },
+      { field: 'orders[0].orderAmount', message: 'must be at least 0' },
+      { field: 'orders[0].price', message: 'is not allowed' }
+    ]);
+  });
+});
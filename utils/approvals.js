@@ -0,0 +1,35 @@
+// Customer approval rules: orders above a total or containing certain SKUs wait for an
+// approver in the customer's company (see Customer.approvalRules and utils/submissions.js)
+
+function hasApprovalRules(rules) {
+  return Boolean(rules) && ((rules.minTotal !== null && rules.minTotal !== undefined) || (rules.skus || []).length > 0);
+}
+
+// The rules a priced order (applyTax result) matches, as messages; empty = no approval needed
+function approvalReasons(rules, pricing) {
+  if (!hasApprovalRules(rules)) return [];
+
+  const reasons = [];
+  const total = pricing.netAmount !== undefined ? pricing.netAmount : pricing.totalAmount;
+  if (rules.minTotal !== null && rules.minTotal !== undefined && total > rules.minTotal) {
+    const currency = pricing.currency ? ` ${pricing.currency}` : '';
+    reasons.push(`Order total ${total.toFixed(2)}${currency} is above the approval limit of ${rules.minTotal.toFixed(2)}${currency}`);
+  }
+
+  const restricted = new Set((rules.skus || []).map(sku => sku.toUpperCase()));
+  for (const line of pricing.lines) {
+    if (line.quantity > 0 && restricted.has(line.product.sku.toUpperCase())) {
+      reasons.push(`${line.product.sku} (${line.product.name}) needs approval`);
+    }
+  }
+  return reasons;
+}
+
+function formatApprovalRules(rules) {
+  return {
+    minTotal: rules && rules.minTotal !== undefined ? rules.minTotal : null,
+    skus: (rules && rules.skus) || []
+  };
+}
+
+module.exports = { hasApprovalRules, approvalReasons, formatApprovalRules };
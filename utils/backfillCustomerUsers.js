@@ -0,0 +1,33 @@
+const Customer = require('../models/Customer');
+const CustomerUser = require('../models/CustomerUser');
+
+// Customers created before company users logged in with the company's own username and
+// password. Each such login becomes the company's first user, an account admin.
+async function backfillCustomerUsers() {
+  try {
+    const customers = await Customer.find({ password: { $exists: true, $ne: null } });
+    if (customers.length === 0) return;
+
+    let created = 0;
+    for (const customer of customers) {
+      if (!(await CustomerUser.exists({ customerId: customer._id }))) {
+        await CustomerUser.create({
+          customerId: customer._id,
+          username: customer.username,
+          password: customer.password,  // Already hashed
+          name: customer.contactPerson,
+          role: 'account_admin',
+          lastActive: customer.lastActive
+        });
+        created++;
+      }
+      await Customer.updateOne({ _id: customer._id }, { $unset: { password: 1 } });
+    }
+
+    console.log(`✓ Created ${created} customer user login(s) from customer accounts`);
+  } catch (error) {
+    console.error('Error creating customer user logins:', error);
+  }
+}
+
+module.exports = backfillCustomerUsers;
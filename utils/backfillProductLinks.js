@@ -0,0 +1,34 @@
+const Product = require('../models/Product');
+const { mastersBySku } = require('./inventory');
+const { PINNABLE_FIELDS, linkToMaster } = require('./masterSync');
+
+// Link customer products saved before products referenced their master, matching by SKU.
+// Every field that differs from the master is pinned, so linking changes no values.
+// Products without a matching master are marked unlinked (masterProductId null).
+async function backfillProductLinks() {
+  try {
+    const products = await Product.find({ masterProductId: { $exists: false } });
+    if (products.length === 0) return;
+
+    const masters = await mastersBySku(products.map(product => product.sku));
+    const unmatched = [];
+
+    for (const product of products) {
+      const master = masters.get(product.sku);
+      if (!master) {
+        unmatched.push(product._id);
+        continue;
+      }
+      linkToMaster(product, master, { keep: PINNABLE_FIELDS });
+      await product.save();
+    }
+    // Written directly: the null default is already applied to the loaded documents
+    await Product.updateMany({ _id: { $in: unmatched } }, { masterProductId: null });
+
+    console.log(`✓ Linked ${products.length - unmatched.length} of ${products.length} customer product(s) to the master catalog`);
+  } catch (error) {
+    console.error('Error linking customer products to master products:', error);
+  }
+}
+
+module.exports = backfillProductLinks;
@@ -0,0 +1,55 @@
+const OrderHistory = require('../models/OrderHistory');
+const Submission = require('../models/Submission');
+
+// Create Submission documents for history lines saved before submissions existed.
+// Legacy lines were grouped by customer and submission timestamp.
+async function backfillSubmissions() {
+  try {
+    const groups = await OrderHistory.aggregate([
+      { $match: { submissionId: { $exists: false } } },
+      {
+        $group: {
+          _id: { customerId: '$customerId', submittedAt: '$submittedAt' },
+          lineIds: { $push: '$_id' },
+          lineCount: { $sum: { $cond: [{ $gt: ['$orderAmount', 0] }, 1, 0] } },
+          totalQuantity: { $sum: '$orderAmount' },
+          totalAmount: { $sum: { $multiply: ['$orderAmount', { $ifNull: ['$productDetails.price', 0] }] } },
+          isArchived: { $max: { $ifNull: ['$isArchived', false] } },
+          archivedAt: { $max: '$archivedAt' }
+        }
+      },
+      { $sort: { '_id.submittedAt': 1 } }
+    ]);
+
+    for (const group of groups) {
+      const submission = new Submission({
+        orderNumber: await Submission.nextOrderNumber(),
+        customerId: group._id.customerId,
+        lineCount: group.lineCount,
+        totalQuantity: group.totalQuantity,
+        totalAmount: group.totalAmount,
+        submittedAt: group._id.submittedAt,
+        isArchived: group.isArchived,
+        archivedAt: group.archivedAt
+      });
+      submission.transitionTo('submitted', undefined, group._id.submittedAt);
+      if (group.isArchived) {
+        submission.transitionTo('fulfilled', undefined, group.archivedAt || group._id.submittedAt);
+      }
+      await submission.save();
+
+      await OrderHistory.updateMany(
+        { _id: { $in: group.lineIds } },
+        { submissionId: submission._id }
+      );
+    }
+
+    if (groups.length > 0) {
+      console.log(`✓ Created ${groups.length} submission(s) from legacy order history`);
+    }
+  } catch (error) {
+    console.error('Error backfilling submissions:', error);
+  }
+}
+
+module.exports = backfillSubmissions;
@@ -0,0 +1,146 @@
+const MasterProduct = require('../models/MasterProduct');
+const OrderHistory = require('../models/OrderHistory');
+const { isTracked, availableStock, availabilityStatus, mastersForLines } = require('./inventory');
+
+// Bundles (kits): master products made of other master products. Customers order and pay for
+// the bundle as one line; stock, picking and shipping happen on its components.
+
+function isBundle(master) {
+  return Boolean(master) && (master.components || []).length > 0;
+}
+
+// Turn requested components [{ sku, quantity }] into the `components` of `master`;
+// returns { components, errors } with field errors for the request
+async function resolveComponents(master, requested) {
+  const found = await MasterProduct.find({ sku: { $in: requested.map(component => component.sku) } });
+  const bySku = new Map(found.map(product => [product.sku, product]));
+  const components = [];
+  const errors = [];
+  const seen = new Set();
+
+  requested.forEach((component, index) => {
+    const field = `components[${index}].sku`;
+    const product = bySku.get(component.sku);
+    if (!product) {
+      errors.push({ field, message: 'is not in the product list' });
+    } else if (master._id && product._id.equals(master._id)) {
+      errors.push({ field, message: 'is the bundle itself' });
+    } else if (isBundle(product)) {
+      errors.push({ field, message: 'is a bundle - bundles cannot contain bundles' });
+    } else if (seen.has(component.sku)) {
+      errors.push({ field, message: 'appears more than once' });
+    } else {
+      components.push({ masterProductId: product._id, quantity: component.quantity });
+    }
+    seen.add(component.sku);
+  });
+
+  if (components.length > 0 && master._id && await MasterProduct.exists({ 'components.masterProductId': master._id })) {
+    errors.push({ field: 'components', message: 'cannot be set on a product that is part of another bundle' });
+  }
+  return { components, errors };
+}
+
+// Field errors for a bundle that tracks its own stock (it comes from the components)
+function bundleStockErrors(master) {
+  return isBundle(master) && isTracked(master)
+    ? [{ field: 'stockOnHand', message: 'is tracked on the components of a bundle' }]
+    : [];
+}
+
+// Bundles that contain any of the given master products
+async function bundlesContaining(masterIds, session = null) {
+  return MasterProduct.find({ 'components.masterProductId': { $in: masterIds } }).session(session);
+}
+
+// Component master products of the given bundles, by ID
+async function componentMasters(bundles, session = null) {
+  const ids = bundles.flatMap(bundle => bundle.components.map(component => component.masterProductId));
+  const masters = await MasterProduct.find({ _id: { $in: ids } }).session(session);
+  return new Map(masters.map(master => [master._id.toString(), master]));
+}
+
+// A bundle's components with their master products: [{ master, quantity }]
+function bundleComponents(bundle, componentsById) {
+  return bundle.components
+    .map(component => ({ master: componentsById.get(component.masterProductId.toString()), quantity: component.quantity }))
+    .filter(component => component.master);
+}
+
+// Customer-facing stock of a bundle, set by its scarcest component:
+// { availability: in_stock | limited | out_of_stock, backorderAllowed }
+function bundleAvailability(bundle, componentsById) {
+  let availability = 'in_stock';
+  let backorderAllowed = true;
+
+  for (const { master, quantity } of bundleComponents(bundle, componentsById)) {
+    if (!isTracked(master)) continue;
+    if (master.stockPolicy === 'block') backorderAllowed = false;
+
+    if (availableStock(master) < quantity) {
+      availability = 'out_of_stock';
+    } else if (availability === 'in_stock' && availabilityStatus(master) === 'limited') {
+      availability = 'limited';
+    }
+  }
+  return { availability, backorderAllowed };
+}
+
+// Stock lines for order lines [{ product, quantity }] (see planReservations): a bundle is
+// replaced by one line per component, for quantity x units per bundle. Each stock line has
+// the `index` of its order line; component lines also carry `component` ({ master, quantity }).
+async function explodeLines(lines, session = null) {
+  const masters = await mastersForLines(lines.map(line => line.product), session);
+  const componentsById = await componentMasters(masters.filter(isBundle), session);
+
+  return lines.flatMap((line, index) => {
+    const master = masters[index];
+    if (!isBundle(master)) {
+      return [{ index, sku: line.product.sku, masterProductId: line.product.masterProductId, quantity: line.quantity }];
+    }
+    return bundleComponents(master, componentsById).map(component => ({
+      index,
+      component,
+      sku: component.master.sku,
+      masterProductId: component.master._id,
+      quantity: line.quantity * component.quantity
+    }));
+  });
+}
+
+// Whole bundles back-ordered, given the back-ordered units of each component line
+function bundleBackorder(componentLines) {
+  return Math.max(0, ...componentLines.map(line => Math.ceil((line.backorderedAmount || 0) / line.bundleQuantity)));
+}
+
+// Bring bundle lines' delivered amount and status in line with their component lines
+async function refreshBundleLines(bundleLineIds, session = null) {
+  for (const bundleLineId of bundleLineIds) {
+    const bundleLine = await OrderHistory.findById(bundleLineId).session(session);
+    const componentLines = await OrderHistory.find({ bundleLineId }).session(session);
+    if (!bundleLine || componentLines.length === 0) continue;
+
+    const closed = componentLines.every(line => ['fulfilled', 'short'].includes(line.lineStatus));
+    bundleLine.fulfilledAmount = Math.min(...componentLines.map(line => Math.floor(line.fulfilledAmount / line.bundleQuantity)));
+    bundleLine.backorderedAmount = bundleBackorder(componentLines);
+    if (closed) {
+      bundleLine.lineStatus = componentLines.some(line => line.lineStatus === 'short') ? 'short' : 'fulfilled';
+    } else {
+      bundleLine.lineStatus = componentLines.some(line => line.fulfilledAmount > 0) ? 'partial' : 'open';
+    }
+    await bundleLine.save({ session });
+  }
+}
+
+module.exports = {
+  isBundle,
+  resolveComponents,
+  bundleStockErrors,
+  bundlesContaining,
+  componentMasters,
+  bundleComponents,
+  bundleAvailability,
+  explodeLines,
+  bundleBackorder,
+  refreshBundleLines
+};
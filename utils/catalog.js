@@ -0,0 +1,62 @@
+// Catalog search, category filtering and cursor pagination (master and customer products)
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Cursors are opaque to clients: the SKU of the last product on the previous page
+function encodeCursor(sku) {
+  return Buffer.from(sku, 'utf8').toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  return Buffer.from(cursor, 'base64url').toString('utf8');
+}
+
+// Trimmed, de-duplicated category names
+function normalizeCategories(categories) {
+  return [...new Set((categories || []).map(category => category.trim()).filter(Boolean))];
+}
+
+// Mongo filter for a search term (full-text on sku and name) and a category
+function catalogFilter({ q, category } = {}) {
+  const filter = {};
+  if (q) filter.$text = { $search: q };
+  if (category) filter.categories = category;
+  return filter;
+}
+
+// One page of products sorted by SKU (unique within a listing), plus the cursor for the next page
+async function paginateBySku(query, { cursor, limit = DEFAULT_PAGE_SIZE } = {}) {
+  if (cursor) query.where('sku').gt(decodeCursor(cursor));
+
+  const products = await query.sort({ sku: 1 }).limit(limit + 1);
+  const hasMore = products.length > limit;
+  const page = hasMore ? products.slice(0, limit) : products;
+
+  return {
+    products: page,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1].sku) : null
+  };
+}
+
+// Category names with how many matching products carry each one
+async function categoryCounts(Model, match = {}) {
+  const counts = await Model.aggregate([
+    { $match: match },
+    { $unwind: '$categories' },
+    { $group: { _id: '$categories', productCount: { $sum: 1 } } },
+    { $sort: { _id: 1 } }
+  ]);
+  return counts.map(entry => ({ name: entry._id, productCount: entry.productCount }));
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  encodeCursor,
+  decodeCursor,
+  normalizeCategories,
+  catalogFilter,
+  paginateBySku,
+  categoryCounts
+};
@@ -0,0 +1,229 @@
+const MasterProduct = require('../models/MasterProduct');
+const ProductVersion = require('../models/ProductVersion');
+const schemas = require('../validation/admin');
+const { validateRequest } = require('../middleware/validate');
+const { ruleConsistencyErrors } = require('./orderRules');
+const { priceTierErrors } = require('./pricing');
+const { normalizeCategories } = require('./catalog');
+const { snapshot, recordVersion } = require('./productVersions');
+const { plainValue, propagateMaster, discontinueLinked } = require('./masterSync');
+const { bundleStockErrors, bundlesContaining } = require('./bundles');
+
+// Catalog CSV columns. Only `sku` is required in an import; columns left out of the file are
+// not changed. Lists are separated with '|': categories "Dairy|Chilled", price tiers
+// "10:4.50|50:4.00" (quantity:price). stockOnHand only sets the starting stock of new
+// products: existing stock moves with orders and shipments, so it is changed through stock
+// adjustments and an import leaves it alone (a different value in the file is a warning).
+const CATALOG_COLUMNS = [
+  'sku', 'name', 'price', 'unit', 'taxCategory', 'categories',
+  'minOrderQuantity', 'orderMultiple', 'maxOrderQuantity', 'leadTimeDays', 'priceTiers',
+  'stockOnHand', 'lowStockThreshold', 'stockPolicy'
+];
+
+const NUMBER_COLUMNS = ['price', 'minOrderQuantity', 'orderMultiple', 'maxOrderQuantity', 'leadTimeDays', 'stockOnHand', 'lowStockThreshold'];
+
+// What an empty cell means (the field's default); sku, name, price and unit can't be blank
+const BLANK_VALUES = {
+  taxCategory: 'standard',
+  categories: [],
+  minOrderQuantity: 0,
+  orderMultiple: 1,
+  maxOrderQuantity: null,
+  leadTimeDays: 0,
+  priceTiers: [],
+  stockOnHand: null,
+  lowStockThreshold: 0,
+  stockPolicy: 'backorder'
+};
+
+function parseCell(column, cell) {
+  const text = cell.trim();
+  if (text === '') return BLANK_VALUES[column];
+
+  if (column === 'categories') {
+    return normalizeCategories(text.split('|'));
+  }
+  if (column === 'priceTiers') {
+    return text.split('|').map(part => {
+      const [minQuantity, price] = part.split(':');
+      return { minQuantity: Number(minQuantity), price: Number(price) };
+    });
+  }
+  // Unparseable numbers become NaN and fail validation
+  return NUMBER_COLUMNS.includes(column) ? Number(text) : text;
+}
+
+function formatCell(column, value) {
+  if (value === null || value === undefined) return '';
+  if (column === 'categories') return value.join('|');
+  if (column === 'priceTiers') return value.map(tier => `${tier.minQuantity}:${tier.price}`).join('|');
+  return value;
+}
+
+// Header row plus one row per master product, by SKU
+async function exportCatalog() {
+  const products = await MasterProduct.find().sort({ sku: 1 });
+  return [
+    CATALOG_COLUMNS,
+    ...products.map(product => CATALOG_COLUMNS.map(column => formatCell(column, plainValue(product, column))))
+  ];
+}
+
+// Work out the change set for parsed CSV rows (header first) against the current catalog:
+// { creates, updates, deletes, unchanged, errors }. Errors carry the file's row number.
+// With deleteMissing, master products whose SKU isn't in the file are deleted.
+async function planImport(rows, { deleteMissing = false } = {}, session = null) {
+  const plan = { creates: [], updates: [], deletes: [], unchanged: 0, errors: [], warnings: [] };
+  const [header = [], ...records] = rows;
+  const columns = header.map(column => column.trim());
+
+  const unknown = columns.filter(column => !CATALOG_COLUMNS.includes(column));
+  unknown.forEach(column => plan.errors.push({ row: 1, sku: null, field: column, message: 'is not a catalog column' }));
+  if (!columns.includes('sku')) {
+    plan.errors.push({ row: 1, sku: null, field: 'sku', message: 'column is required' });
+  }
+  if (plan.errors.length > 0) return plan;
+
+  const existing = await MasterProduct.find().session(session);
+  const existingBySku = new Map(existing.map(product => [product.sku, product]));
+  const seen = new Set();
+
+  records.forEach((record, index) => {
+    const row = index + 2;
+    const rowError = (field, message, sku = null) => plan.errors.push({ row, sku, field, message });
+
+    if (record.length !== columns.length) {
+      rowError(null, `has ${record.length} cells, expected ${columns.length}`);
+      return;
+    }
+
+    const values = {};
+    columns.forEach((column, i) => { values[column] = parseCell(column, record[i]); });
+    const sku = values.sku;
+
+    if (sku && seen.has(sku)) {
+      rowError('sku', 'appears more than once in the file', sku);
+      return;
+    }
+    if (sku) seen.add(sku);
+
+    // New products need every required field; existing ones only the columns in the file
+    const product = existingBySku.get(sku);
+    const fields = product
+      ? Object.fromEntries(columns.map(column => [column, schemas.createMasterProduct.body[column]]))
+      : schemas.createMasterProduct.body;
+    const fieldErrors = validateRequest({ body: values }, { body: fields });
+    if (fieldErrors.length > 0) {
+      fieldErrors.forEach(error => rowError(error.field, error.message, sku || null));
+      return;
+    }
+
+    if (product && 'stockOnHand' in values) {
+      const current = plainValue(product, 'stockOnHand');
+      if (values.stockOnHand !== current) {
+        plan.warnings.push({
+          row,
+          sku,
+          field: 'stockOnHand',
+          message: `is ${current === null ? 'not tracked' : current} now, not ${values.stockOnHand === null ? 'blank' : values.stockOnHand} - imports leave stock unchanged, use a stock adjustment`
+        });
+      }
+      delete values.stockOnHand;
+    }
+
+    const candidate = product ? { ...product.toObject(), ...values } : values;
+    const ruleErrors = [...ruleConsistencyErrors(candidate), ...priceTierErrors(candidate), ...bundleStockErrors(candidate)];
+    if (ruleErrors.length > 0) {
+      ruleErrors.forEach(error => rowError(error.field, error.message, sku));
+      return;
+    }
+
+    if (!product) {
+      plan.creates.push({ row, sku, values });
+      return;
+    }
+
+    const changes = {};
+    for (const column of columns.filter(column => column in values)) {
+      const from = plainValue(product, column);
+      if (JSON.stringify(from) !== JSON.stringify(values[column])) {
+        changes[column] = { from, to: values[column] };
+      }
+    }
+    if (Object.keys(changes).length > 0) {
+      plan.updates.push({ row, sku, productId: product._id, changes });
+    } else {
+      plan.unchanged++;
+    }
+  });
+
+  if (deleteMissing) {
+    plan.deletes = existing
+      .filter(product => !seen.has(product.sku))
+      .map(product => ({ sku: product.sku, name: product.name, productId: product._id, media: [product.image, product.specSheet] }));
+
+    // Components can't be deleted from under a bundle that stays in the catalog
+    const deleted = new Set(plan.deletes.map(({ sku }) => sku));
+    const bundles = await bundlesContaining(plan.deletes.map(({ productId }) => productId), session);
+    for (const bundle of bundles.filter(bundle => !deleted.has(bundle.sku))) {
+      const components = new Set(bundle.components.map(component => component.masterProductId.toString()));
+      plan.deletes
+        .filter(({ productId }) => components.has(productId.toString()))
+        .forEach(({ sku }) => plan.errors.push({ row: null, sku, field: 'sku', message: `is missing from the file but is part of bundle ${bundle.sku}` }));
+    }
+  }
+
+  return plan;
+}
+
+// Apply a plan from planImport (inside a transaction, see runIdempotent). Updates are pushed to
+// linked customer products and deleted products' customer copies are discontinued. Returns the
+// image and spec sheet entries of deleted products, whose files should be removed once committed.
+async function applyImport(plan, adminId, session) {
+  const lastUpdated = new Date();
+
+  for (const { values } of plan.creates) {
+    await new MasterProduct({ ...values, lastUpdated }).save({ session });
+  }
+
+  for (const { productId, changes } of plan.updates) {
+    const product = await MasterProduct.findById(productId).session(session);
+    const before = snapshot(product);
+    for (const [column, { to }] of Object.entries(changes)) {
+      product[column] = to;
+    }
+    product.lastUpdated = lastUpdated;
+    await product.save({ session });
+    await recordVersion(product, before, adminId, 'import', session);
+    await propagateMaster(product, adminId, session);
+  }
+
+  for (const { productId } of plan.deletes) {
+    await MasterProduct.deleteOne({ _id: productId }, { session });
+    await ProductVersion.deleteMany({ productId }, { session });
+    await discontinueLinked(productId, session);
+  }
+
+  return plan.deletes.flatMap(({ media }) => media.filter(Boolean));
+}
+
+// Response body for a plan
+function importSummary(plan) {
+  return {
+    summary: {
+      creates: plan.creates.length,
+      updates: plan.updates.length,
+      deletes: plan.deletes.length,
+      unchanged: plan.unchanged,
+      errors: plan.errors.length,
+      warnings: plan.warnings.length
+    },
+    creates: plan.creates.map(({ row, sku, values }) => ({ row, sku, name: values.name })),
+    updates: plan.updates.map(({ row, sku, changes }) => ({ row, sku, changes })),
+    deletes: plan.deletes.map(({ sku, name }) => ({ sku, name })),
+    errors: plan.errors,
+    warnings: plan.warnings
+  };
+}
+
+module.exports = { CATALOG_COLUMNS, exportCatalog, planImport, applyImport, importSummary };
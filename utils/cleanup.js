@@ -1,4 +1,6 @@
 const OrderHistory = require('../models/OrderHistory');
+const Submission = require('../models/Submission');
+const OrderComment = require('../models/OrderComment');
 
 // Cleanup archived orders older than 60 days
 async function cleanupArchivedOrders() {
@@ -6,13 +8,24 @@ async function cleanupArchivedOrders() {
     const sixtyDaysAgo = new Date();
     sixtyDaysAgo.setDate(sixtyDaysAgo.getDate() - 60);
 
+    const expiredSubmissions = await Submission.find({
+      isArchived: true,
+      archivedAt: { $lt: sixtyDaysAgo }
+    }).select('_id');
+    await OrderComment.deleteMany({ submissionId: { $in: expiredSubmissions.map(s => s._id) } });
+
     const result = await OrderHistory.deleteMany({
       isArchived: true,
       archivedAt: { $lt: sixtyDaysAgo }
     });
 
-    if (result.deletedCount > 0) {
-      console.log(`Deleted ${result.deletedCount} archived orders older than 60 days`);
+    const submissionResult = await Submission.deleteMany({
+      isArchived: true,
+      archivedAt: { $lt: sixtyDaysAgo }
+    });
+
+    if (submissionResult.deletedCount > 0) {
+      console.log(`Deleted ${submissionResult.deletedCount} archived orders older than 60 days`);
     }
   } catch (error) {
     console.error('Error cleaning up archived orders:', error);
@@ -0,0 +1,82 @@
+const OrderComment = require('../models/OrderComment');
+const OrderHistory = require('../models/OrderHistory');
+
+// Comments written by the other party are the ones a viewer can have unread
+function otherRole(viewerRole) {
+  return viewerRole === 'admin' ? 'customer' : 'admin';
+}
+
+// Shape a comment for API responses
+function formatComment(comment, linesById) {
+  const line = comment.lineId ? linesById.get(comment.lineId.toString()) : null;
+  return {
+    _id: comment._id,
+    lineId: comment.lineId || null,
+    lineSku: line ? line.productDetails.sku : null,
+    lineName: line ? line.productDetails.name : null,
+    authorRole: comment.authorRole,
+    body: comment.body,
+    createdAt: comment.createdAt,
+    readAt: comment.readAt
+  };
+}
+
+// A submission's comments, oldest first; marks the other party's comments as read
+async function commentThread(submission, viewerRole) {
+  const comments = await OrderComment.find({ submissionId: submission._id }).sort({ createdAt: 1 });
+  const lines = await OrderHistory.find({ submissionId: submission._id }).select('productDetails');
+  const linesById = new Map(lines.map(line => [line._id.toString(), line]));
+
+  await OrderComment.updateMany(
+    { submissionId: submission._id, authorRole: otherRole(viewerRole), readAt: null },
+    { readAt: new Date() }
+  );
+
+  return comments.map(comment => formatComment(comment, linesById));
+}
+
+// Add a comment to a submission, optionally about one of its lines; returns { status, body }
+async function postComment(submission, { body, lineId }, user) {
+  let line = null;
+  if (lineId) {
+    line = await OrderHistory.findOne({ _id: lineId, submissionId: submission._id });
+    if (!line) {
+      return { status: 400, body: { error: 'Line does not belong to this order' } };
+    }
+  }
+
+  const comment = await new OrderComment({
+    submissionId: submission._id,
+    customerId: submission.customerId,
+    lineId: line ? line._id : undefined,
+    authorRole: user.role,
+    authorId: user.userId || user.id,  // The customer user, or the admin
+    body
+  }).save();
+
+  const linesById = new Map(line ? [[line._id.toString(), line]] : []);
+  return { status: 201, body: formatComment(comment, linesById) };
+}
+
+// Unread comment counts for a viewer, keyed by `groupBy` ('submissionId' or 'customerId')
+async function unreadCounts(viewerRole, match, groupBy) {
+  const counts = await OrderComment.aggregate([
+    { $match: { ...match, authorRole: otherRole(viewerRole), readAt: null } },
+    { $group: { _id: `$${groupBy}`, count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(entry => [entry._id.toString(), entry.count]));
+}
+
+// Add `unreadComments` to submissions shaped by withLines
+async function withUnreadComments(submissions, viewerRole) {
+  const counts = await unreadCounts(viewerRole, {
+    submissionId: { $in: submissions.map(s => s._id) }
+  }, 'submissionId');
+
+  return submissions.map(submission => ({
+    ...submission,
+    unreadComments: counts.get(submission._id.toString()) || 0
+  }));
+}
+
+module.exports = { commentThread, postComment, unreadCounts, withUnreadComments };
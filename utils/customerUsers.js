@@ -0,0 +1,121 @@
+const bcrypt = require('bcryptjs');
+const CustomerUser = require('../models/CustomerUser');
+const { customerPermissionsFor } = require('../middleware/authorize');
+const { revokeAccountSessions } = require('./sessions');
+const { clearFailures, lockStatus } = require('./loginThrottle');
+
+// Users of a customer company, managed by the company's account admins (routes/customer.js)
+// and by admins (routes/admin.js). Functions return { status, body }.
+
+function formatUser(user) {
+  return {
+    _id: user._id,
+    username: user.username,
+    name: user.name,
+    email: user.email || null,
+    role: user.role,
+    permissions: customerPermissionsFor(user.role),
+    disabled: user.disabled,
+    ...lockStatus(user),
+    lastActive: user.lastActive || null,
+    createdAt: user.createdAt
+  };
+}
+
+// True if no active account admin would remain in the company without `user`
+async function isLastAccountAdmin(user) {
+  const others = await CustomerUser.countDocuments({
+    _id: { $ne: user._id },
+    customerId: user.customerId,
+    role: 'account_admin',
+    disabled: { $ne: true }
+  });
+  return others === 0;
+}
+
+async function listUsers(customerId) {
+  const users = await CustomerUser.find({ customerId }).sort({ username: 1 });
+  return users.map(formatUser);
+}
+
+// Add a user to a company with a first password they can change after logging in
+async function createUser(customerId, { username, password, name, email, role }, invitedBy) {
+  const existingUser = await CustomerUser.findByUsername(username);
+  if (existingUser) {
+    return { status: 400, body: { error: 'Username already exists (case-insensitive)' } };
+  }
+
+  const user = await CustomerUser.create({
+    customerId,
+    username: username.toLowerCase(),
+    password: await bcrypt.hash(password, 10),
+    name,
+    email,
+    role,
+    invitedBy
+  });
+  return { status: 201, body: { message: 'User added successfully', user: formatUser(user) } };
+}
+
+// Change a user's details, role or password, or disable them. Users can't disable themselves
+// or change their own role (`actingUserId`, null for admins), and every company keeps an
+// active account admin. Disabling or a new password logs the user out everywhere.
+async function updateUser(customerId, userId, { name, email, role, disabled, password }, actingUserId = null) {
+  const user = await CustomerUser.findOne({ _id: userId, customerId });
+  if (!user) {
+    return { status: 404, body: { error: 'User not found' } };
+  }
+
+  if (actingUserId && user._id.equals(actingUserId) && (disabled || (role && role !== user.role))) {
+    return { status: 400, body: { error: 'You cannot disable your own login or change your own role' } };
+  }
+  const losesAccountAdmin = user.role === 'account_admin' && !user.disabled &&
+    ((role && role !== 'account_admin') || disabled);
+  if (losesAccountAdmin && await isLastAccountAdmin(user)) {
+    return { status: 400, body: { error: 'The company needs at least one active account admin' } };
+  }
+
+  if (name) user.name = name;
+  if (email !== undefined && email !== null) user.email = email;
+  if (role) user.role = role;
+  if (disabled !== undefined && disabled !== null) user.disabled = disabled;
+  if (password) user.password = await bcrypt.hash(password, 10);
+  await user.save();
+
+  if (user.disabled || password) {
+    await revokeAccountSessions(user._id, 'customer');
+  }
+  return { status: 200, body: { message: 'User updated successfully', user: formatUser(user) } };
+}
+
+// Remove a user; orders they submitted keep their name
+async function deleteUser(customerId, userId, actingUserId = null) {
+  const user = await CustomerUser.findOne({ _id: userId, customerId });
+  if (!user) {
+    return { status: 404, body: { error: 'User not found' } };
+  }
+  if (actingUserId && user._id.equals(actingUserId)) {
+    return { status: 400, body: { error: 'You cannot delete your own login' } };
+  }
+  if (user.role === 'account_admin' && !user.disabled && await isLastAccountAdmin(user)) {
+    return { status: 400, body: { error: 'The company needs at least one active account admin' } };
+  }
+
+  await revokeAccountSessions(user._id, 'customer');
+  await CustomerUser.deleteOne({ _id: user._id });
+  return { status: 200, body: { message: 'User deleted successfully' } };
+}
+
+// Lift a user's lockout after failed logins
+async function unlockUser(customerId, userId) {
+  const user = await CustomerUser.findOne({ _id: userId, customerId });
+  if (!user) {
+    return { status: 404, body: { error: 'User not found' } };
+  }
+
+  clearFailures(user);
+  await user.save();
+  return { status: 200, body: { message: 'User unlocked', user: formatUser(user) } };
+}
+
+module.exports = { formatUser, listUsers, createUser, updateUser, deleteUser, unlockUser };
@@ -0,0 +1,102 @@
+// Delivery calendars: delivery weekdays, per-day cut-offs and closures
+
+// How far ahead to look for the next delivery day
+const LOOKAHEAD_DAYS = 60;
+
+function startOfDay(date) {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+}
+
+// Local YYYY-MM-DD key for comparing calendar dates
+function dateKey(date) {
+  const day = new Date(date);
+  const month = String(day.getMonth() + 1).padStart(2, '0');
+  const dayOfMonth = String(day.getDate()).padStart(2, '0');
+  return `${day.getFullYear()}-${month}-${dayOfMonth}`;
+}
+
+// Local "YYYY-MM-DD HH:MM" for messages
+function formatCutoff(date) {
+  const hours = String(date.getHours()).padStart(2, '0');
+  const minutes = String(date.getMinutes()).padStart(2, '0');
+  return `${dateKey(date)} ${hours}:${minutes}`;
+}
+
+function hasCalendar(calendar) {
+  return Boolean(calendar && calendar.deliveryDays && calendar.deliveryDays.length > 0);
+}
+
+function cutoffFor(deliveryDay, deliveryDate) {
+  const cutoff = new Date(deliveryDate);
+  cutoff.setDate(cutoff.getDate() - (deliveryDay.cutoffDaysBefore || 0));
+  const [hours, minutes] = (deliveryDay.cutoffTime || '17:00').split(':').map(Number);
+  cutoff.setHours(hours, minutes, 0, 0);
+  return cutoff;
+}
+
+// Delivery days from `from` onwards as [{ deliveryDate, cutoffAt }], skipping closures
+function deliverySlots(calendar, from = new Date()) {
+  const closed = new Set((calendar.closures || []).map(closure => dateKey(closure.date)));
+  const slots = [];
+  const date = startOfDay(from);
+
+  for (let i = 0; i < LOOKAHEAD_DAYS; i++) {
+    const deliveryDay = calendar.deliveryDays.find(day => day.weekday === date.getDay());
+    if (deliveryDay && !closed.has(dateKey(date))) {
+      slots.push({ deliveryDate: new Date(date), cutoffAt: cutoffFor(deliveryDay, date) });
+    }
+    date.setDate(date.getDate() + 1);
+  }
+
+  return slots;
+}
+
+// Next delivery whose cut-off has not passed, optionally no earlier than `earliestDate`
+function nextDelivery(calendar, now = new Date(), earliestDate = null) {
+  if (!hasCalendar(calendar)) return null;
+
+  return deliverySlots(calendar, now).find(slot =>
+    slot.cutoffAt > now && (!earliestDate || slot.deliveryDate >= startOfDay(earliestDate))
+  ) || null;
+}
+
+// Work out the delivery a submission made at `now` is for. Without a requested date it is the
+// next delivery day, no earlier than `earliestDate` (the products' lead times) when given.
+// Returns { deliveryDate, cutoffAt, rolledForward } or { error }.
+function resolveDelivery(calendar, now = new Date(), requestedDate = null, earliestDate = null) {
+  const allSlots = deliverySlots(calendar, now);
+
+  if (requestedDate) {
+    const slot = allSlots.find(s => dateKey(s.deliveryDate) === dateKey(requestedDate));
+    if (!slot) {
+      return { error: `${dateKey(requestedDate)} is not a delivery day` };
+    }
+    if (slot.cutoffAt <= now) {
+      return { error: `The cut-off for delivery on ${dateKey(slot.deliveryDate)} was ${formatCutoff(slot.cutoffAt)}` };
+    }
+    return { ...slot, rolledForward: false };
+  }
+
+  const slots = earliestDate ? allSlots.filter(slot => slot.deliveryDate >= startOfDay(earliestDate)) : allSlots;
+  const upcoming = slots[0];
+  if (!upcoming) {
+    return { error: `No delivery days in the next ${LOOKAHEAD_DAYS} days` };
+  }
+  if (upcoming.cutoffAt > now) {
+    return { ...upcoming, rolledForward: false };
+  }
+
+  if (calendar.lateSubmission === 'reject') {
+    return { error: `The cut-off for delivery on ${dateKey(upcoming.deliveryDate)} was ${formatCutoff(upcoming.cutoffAt)}` };
+  }
+
+  const next = slots.find(slot => slot.cutoffAt > now);
+  if (!next) {
+    return { error: `No delivery days in the next ${LOOKAHEAD_DAYS} days` };
+  }
+  return { ...next, rolledForward: true };
+}
+
+module.exports = { dateKey, startOfDay, hasCalendar, deliverySlots, nextDelivery, resolveDelivery };
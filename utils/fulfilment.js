@@ -0,0 +1,138 @@
+const OrderHistory = require('../models/OrderHistory');
+const MasterProduct = require('../models/MasterProduct');
+const { validationErrorBody } = require('../middleware/validate');
+const { consumeStock, releaseReservations } = require('./inventory');
+const { refreshBundleLines } = require('./bundles');
+
+const CLOSED_LINE_STATUSES = ['fulfilled', 'short'];
+
+function lineStatusFor(entry, closeLine) {
+  if (entry.fulfilledAmount >= entry.orderAmount) return 'fulfilled';
+  if (closeLine) return 'short';
+  return entry.fulfilledAmount > 0 ? 'partial' : 'open';
+}
+
+// Record a shipment against a submission. Lines are [{ lineId, quantity, closeLine,
+// substituteSku, note }]; closeLine marks the remainder as short-picked. Bundles ship as
+// their component lines, and the bundle line follows them.
+// Returns { status, body } so it can run inside runIdempotent.
+async function recordShipment(submission, { reference, deliveryDate, lines }, adminId, session) {
+  if (submission.status === 'fulfilled' || submission.status === 'cancelled') {
+    return {
+      status: 400,
+      body: { error: `Order #${submission.orderNumber} is ${submission.status} and cannot receive shipments` }
+    };
+  }
+
+  const entries = await OrderHistory.find({
+    _id: { $in: lines.map(line => line.lineId) },
+    submissionId: submission._id
+  }).session(session);
+  const entriesById = new Map(entries.map(entry => [entry._id.toString(), entry]));
+
+  const substituteSkus = lines.filter(line => line.substituteSku).map(line => line.substituteSku);
+  const substitutes = await MasterProduct.find({ sku: { $in: substituteSkus } }).session(session);
+  const substitutesBySku = new Map(substitutes.map(product => [product.sku, product]));
+
+  // Check every line before changing anything
+  const errors = [];
+  const seen = new Set();
+  lines.forEach((line, index) => {
+    const entry = entriesById.get(line.lineId);
+    if (!entry) {
+      errors.push({ field: `lines[${index}].lineId`, message: 'is not a line of this order' });
+      return;
+    }
+    if (seen.has(line.lineId)) {
+      errors.push({ field: `lines[${index}].lineId`, message: 'appears more than once' });
+    }
+    seen.add(line.lineId);
+
+    if (entry.lineType === 'bundle') {
+      errors.push({ field: `lines[${index}].lineId`, message: `${entry.productDetails.sku} is a bundle - ship its components` });
+    }
+    if (CLOSED_LINE_STATUSES.includes(entry.lineStatus)) {
+      errors.push({ field: `lines[${index}].lineId`, message: `${entry.productDetails.sku} is already ${entry.lineStatus}` });
+    }
+
+    const remaining = entry.orderAmount - entry.fulfilledAmount;
+    if (line.quantity > remaining) {
+      errors.push({ field: `lines[${index}].quantity`, message: `exceeds the ${remaining} remaining for ${entry.productDetails.sku}` });
+    }
+
+    if (line.substituteSku && !substitutesBySku.has(line.substituteSku)) {
+      errors.push({ field: `lines[${index}].substituteSku`, message: 'is not in the product list' });
+    }
+  });
+
+  if (errors.length > 0) {
+    return { status: 400, body: validationErrorBody(errors) };
+  }
+
+  for (const line of lines) {
+    const entry = entriesById.get(line.lineId);
+    entry.fulfilledAmount += line.quantity;
+    entry.lineStatus = lineStatusFor(entry, line.closeLine);
+
+    if (line.substituteSku) {
+      const substitute = substitutesBySku.get(line.substituteSku);
+      entry.substitution = { sku: substitute.sku, name: substitute.name, unit: substitute.unit };
+    }
+    if (line.note) {
+      entry.fulfilmentNote = line.note;
+    }
+
+    await consumeStock(entry, line.quantity, line.substituteSku || null, session);
+    await entry.save({ session });
+
+    // Nothing more will ship on a closed line, so its remaining stock goes back
+    if (CLOSED_LINE_STATUSES.includes(entry.lineStatus)) {
+      await releaseReservations([entry], session);
+    }
+  }
+
+  await refreshBundleLines(
+    [...new Set(entries.filter(entry => entry.bundleLineId).map(entry => entry.bundleLineId.toString()))],
+    session
+  );
+
+  const recordedAt = new Date();
+  submission.shipments.push({
+    reference,
+    deliveryDate,
+    recordedAt,
+    recordedBy: adminId,
+    lines: lines.map(line => ({ lineId: line.lineId, quantity: line.quantity }))
+  });
+
+  // Shipping implies the order was acknowledged and is being fulfilled
+  if (submission.status === 'submitted') {
+    submission.transitionTo('acknowledged', adminId, recordedAt);
+  }
+  if (submission.status === 'acknowledged') {
+    submission.transitionTo('in_fulfilment', adminId, recordedAt);
+  }
+
+  const openLines = await OrderHistory.countDocuments({
+    submissionId: submission._id,
+    orderAmount: { $gt: 0 },
+    lineType: { $ne: 'bundle' },
+    lineStatus: { $nin: CLOSED_LINE_STATUSES }
+  }).session(session);
+
+  if (openLines === 0) {
+    submission.transitionTo('fulfilled', adminId, recordedAt);
+  }
+
+  await submission.save({ session });
+
+  return {
+    status: 201,
+    body: {
+      message: `Shipment ${reference} recorded for order #${submission.orderNumber}`,
+      submission
+    }
+  };
+}
+
+module.exports = { recordShipment };
@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+function hashRequest(body) {
+  return crypto.createHash('sha256').update(JSON.stringify(body || {})).digest('hex');
+}
+
+async function findStoredResponse({ key, ownerId, scope }, requestHash, session) {
+  const stored = await IdempotencyKey.findOne({ key, ownerId, scope }).session(session || null);
+  if (!stored) return null;
+
+  if (stored.requestHash !== requestHash) {
+    return {
+      status: 422,
+      body: { error: 'Idempotency-Key has already been used with a different request' },
+      replayed: true
+    };
+  }
+
+  return { status: stored.responseStatus, body: stored.responseBody, replayed: true };
+}
+
+// Run `work(session)` inside a MongoDB transaction. `work` returns { status, body }.
+// When a key is given, the response is stored in the same transaction and returned
+// unchanged for any later request with the same key, user and scope.
+async function runIdempotent({ key, ownerId, scope, body }, work) {
+  const requestHash = hashRequest(body);
+  const session = await mongoose.startSession();
+
+  try {
+    let result;
+
+    await session.withTransaction(async () => {
+      if (key) {
+        const stored = await findStoredResponse({ key, ownerId, scope }, requestHash, session);
+        if (stored) {
+          result = stored;
+          return;
+        }
+      }
+
+      result = { ...(await work(session)), replayed: false };
+
+      if (key) {
+        await IdempotencyKey.create([{
+          key,
+          ownerId,
+          scope,
+          requestHash,
+          responseStatus: result.status,
+          responseBody: result.body
+        }], { session });
+      }
+    });
+
+    return result;
+  } catch (error) {
+    // A concurrent request with the same key committed first - return its response
+    if (key && error.code === 11000) {
+      const stored = await findStoredResponse({ key, ownerId, scope }, requestHash);
+      if (stored) return stored;
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+}
+
+// Send a runIdempotent result, flagging replays for the client
+function sendIdempotentResult(res, result) {
+  res.set('Idempotent-Replayed', result.replayed ? 'true' : 'false');
+  res.status(result.status).json(result.body);
+}
+
+module.exports = { runIdempotent, sendIdempotentResult };
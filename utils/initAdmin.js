@@ -12,7 +12,8 @@ async function initializeAdmin() {
 
       const admin = new Admin({
         username: defaultUsername.toLowerCase(), // Store in lowercase
-        password: hashedPassword
+        password: hashedPassword,
+        role: 'super_admin'
       });
 
       await admin.save();
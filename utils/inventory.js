@@ -0,0 +1,149 @@
+const MasterProduct = require('../models/MasterProduct');
+
+// Stock settings an admin can set on a master product
+const STOCK_FIELDS = ['stockOnHand', 'lowStockThreshold', 'stockPolicy'];
+
+// The stock settings present in a request body (stockOnHand may be null to stop tracking)
+function pickStockFields(body) {
+  const fields = {};
+  for (const field of STOCK_FIELDS) {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  }
+  return fields;
+}
+
+function isTracked(master) {
+  return Boolean(master) && master.stockOnHand !== null && master.stockOnHand !== undefined;
+}
+
+// Units that can still be reserved (null when stock isn't tracked)
+function availableStock(master) {
+  if (!isTracked(master)) return null;
+  return Math.max(0, master.stockOnHand - (master.stockReserved || 0));
+}
+
+// Customer-facing availability: in_stock, limited (at or below the low-stock threshold) or out_of_stock
+function availabilityStatus(master) {
+  const available = availableStock(master);
+  if (available === null) return 'in_stock';
+  if (available <= 0) return 'out_of_stock';
+  return available <= master.lowStockThreshold ? 'limited' : 'in_stock';
+}
+
+// Master products by SKU
+async function mastersBySku(skus, session = null) {
+  const masters = await MasterProduct.find({ sku: { $in: [...new Set(skus)] } }).session(session);
+  return new Map(masters.map(master => [master.sku, master]));
+}
+
+// Master product of each line: by masterProductId where known (it survives SKU renames), else by SKU
+async function mastersForLines(lines, session = null) {
+  const masters = await MasterProduct.find({
+    $or: [
+      { _id: { $in: lines.map(line => line.masterProductId).filter(Boolean) } },
+      { sku: { $in: lines.filter(line => !line.masterProductId).map(line => line.sku) } }
+    ]
+  }).session(session);
+  const byId = new Map(masters.map(master => [master._id.toString(), master]));
+  const bySku = new Map(masters.map(master => [master.sku, master]));
+  return lines.map(line => (line.masterProductId ? byId.get(line.masterProductId.toString()) : bySku.get(line.sku)));
+}
+
+// Work out how much of each line can be reserved. Lines are [{ sku, masterProductId, quantity, held }],
+// where `held` is what the line has reserved already and gives up first (e.g. when amending).
+// Amounts over availability are back-ordered, or reported in `errors` (with the line's index)
+// when the product's stock policy is 'block'. Nothing is saved; see applyReservations.
+async function planReservations(lines, session = null) {
+  const masters = await mastersForLines(lines, session);
+  // Master ID -> unreserved stock after earlier lines, counting what they gave up (may be
+  // negative when a product is over-reserved)
+  const remaining = new Map();
+  const errors = [];
+
+  const plans = lines.map((line, index) => {
+    const master = masters[index];
+    const held = line.held || 0;
+    if (!isTracked(master)) {
+      return { masterId: master ? master._id : null, reservedAmount: 0, backorderedAmount: 0, delta: -held };
+    }
+
+    // Every line gives up its own reservation, also when an earlier line used the same master
+    const key = master._id.toString();
+    const unreserved = (remaining.has(key) ? remaining.get(key) : master.stockOnHand - (master.stockReserved || 0)) + held;
+    const available = Math.max(0, unreserved);
+    const reservedAmount = Math.min(line.quantity, available);
+    const backorderedAmount = line.quantity - reservedAmount;
+    remaining.set(key, unreserved - reservedAmount);
+
+    if (backorderedAmount > 0 && master.stockPolicy === 'block') {
+      errors.push({ index, sku: line.sku, message: available > 0 ? `only ${available} available` : 'out of stock' });
+    }
+    return { masterId: master._id, reservedAmount, backorderedAmount, delta: reservedAmount - held };
+  });
+
+  return { plans, errors };
+}
+
+async function applyReservations(plans, session = null) {
+  for (const plan of plans) {
+    if (!plan.masterId || plan.delta === 0) continue;
+    await MasterProduct.updateOne({ _id: plan.masterId }, { $inc: { stockReserved: plan.delta } }, { session });
+  }
+}
+
+// The master product holding an order line's stock (lines from before the link by SKU)
+function masterOf(entry) {
+  return entry.masterProductId ? { _id: entry.masterProductId } : { sku: entry.productDetails.sku };
+}
+
+// Give back the stock held by order lines (cancelled, archived or short-closed)
+async function releaseReservations(entries, session = null) {
+  const holding = entries.filter(entry => entry.reservedAmount > 0);
+  for (const entry of holding) {
+    await MasterProduct.updateOne(
+      masterOf(entry),
+      { $inc: { stockReserved: -entry.reservedAmount } },
+      { session }
+    );
+    entry.reservedAmount = 0;
+    entry.backorderedAmount = 0;
+    await entry.save({ session });
+  }
+}
+
+// Take a shipped quantity out of stock: the line's reservation is used up first, and
+// on-hand stock comes off the product actually shipped (the substitute, if any)
+async function consumeStock(entry, quantity, substituteSku = null, session = null) {
+  const fromReserved = Math.min(quantity, entry.reservedAmount || 0);
+  if (fromReserved > 0) {
+    await MasterProduct.updateOne(
+      masterOf(entry),
+      { $inc: { stockReserved: -fromReserved } },
+      { session }
+    );
+    entry.reservedAmount -= fromReserved;
+  }
+  entry.backorderedAmount = Math.max(0, (entry.backorderedAmount || 0) - (quantity - fromReserved));
+
+  await MasterProduct.updateOne(
+    { ...(substituteSku ? { sku: substituteSku } : masterOf(entry)), stockOnHand: { $ne: null } },
+    { $inc: { stockOnHand: -quantity } },
+    { session }
+  );
+}
+
+module.exports = {
+  STOCK_FIELDS,
+  pickStockFields,
+  isTracked,
+  availableStock,
+  availabilityStatus,
+  mastersBySku,
+  mastersForLines,
+  planReservations,
+  applyReservations,
+  releaseReservations,
+  consumeStock
+};
@@ -0,0 +1,137 @@
+const LoginAttempt = require('../models/LoginAttempt');
+
+// Failed logins are slowed down per account and per IP address: after a few free attempts
+// each further failure doubles the wait before the next try. Enough failures on one account
+// lock it for a while; admins can unlock it sooner. Usernames without an account are throttled
+// the same way from their logged failures, and every limit answers with the same 429, so the
+// responses don't tell which usernames exist.
+const FREE_ATTEMPTS = 3;
+const MAX_DELAY_SECONDS = 15 * 60;
+const LOCKOUT_ATTEMPTS = parseInt(process.env.LOGIN_LOCKOUT_ATTEMPTS, 10) || 10;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15;
+// An IP address gets more free attempts (colleagues share an office connection) and only
+// its failures in the last IP_WINDOW_MINUTES count
+const IP_FREE_ATTEMPTS = 10;
+const IP_WINDOW_MINUTES = 15;
+
+// Seconds to wait after `failures` failed logins in a row
+function backoffSeconds(failures, freeAttempts) {
+  if (failures < freeAttempts) return 0;
+  return Math.min(MAX_DELAY_SECONDS, 2 ** (failures - freeAttempts));
+}
+
+function secondsUntil(date, now) {
+  return Math.ceil((date.getTime() - now.getTime()) / 1000);
+}
+
+function tooManyAttempts(retryAfter) {
+  return {
+    status: 429,
+    retryAfter,
+    body: { error: `Too many failed logins. Try again in ${retryAfter} second(s).`, retryAfter }
+  };
+}
+
+// null, or a 429 result while logins from `ip` are backed off
+async function ipThrottle(ip, now = new Date()) {
+  const since = new Date(now.getTime() - IP_WINDOW_MINUTES * 60 * 1000);
+  const failures = await LoginAttempt.countDocuments({ ip, createdAt: { $gte: since } });
+  const delay = backoffSeconds(failures, IP_FREE_ATTEMPTS);
+  if (delay === 0) return null;
+
+  const last = await LoginAttempt.findOne({ ip }).sort({ createdAt: -1 }).select('createdAt');
+  const wait = secondsUntil(new Date(last.createdAt.getTime() + delay * 1000), now);
+  return wait > 0 ? tooManyAttempts(wait) : null;
+}
+
+// null, or a 429 result while `account` (admin or customer user) is locked or its logins
+// are backed off
+function accountThrottle(account, now = new Date()) {
+  if (account.lockedUntil && account.lockedUntil > now) {
+    return tooManyAttempts(secondsUntil(account.lockedUntil, now));
+  }
+
+  const delay = backoffSeconds(account.failedLogins || 0, FREE_ATTEMPTS);
+  if (delay === 0 || !account.lastFailedLogin) return null;
+  const wait = secondsUntil(new Date(account.lastFailedLogin.getTime() + delay * 1000), now);
+  return wait > 0 ? tooManyAttempts(wait) : null;
+}
+
+// null, or a 429 result while logins as `username` (which has no `role` account) are backed
+// off or "locked". Only its failures in the last LOCKOUT_MINUTES count, so the lock ends
+// LOCKOUT_MINUTES after the LOCKOUT_ATTEMPTS-th failure, as it would for an account.
+async function usernameThrottle(role, username, now = new Date()) {
+  const since = new Date(now.getTime() - LOCKOUT_MINUTES * 60 * 1000);
+  const filter = { role, username: username.toLowerCase(), accountId: null, createdAt: { $gte: since } };
+  const failures = await LoginAttempt.countDocuments(filter);
+  const delay = failures >= LOCKOUT_ATTEMPTS ? LOCKOUT_MINUTES * 60 : backoffSeconds(failures, FREE_ATTEMPTS);
+  if (delay === 0) return null;
+
+  const last = await LoginAttempt.findOne(filter).sort({ createdAt: -1 }).select('createdAt');
+  const wait = secondsUntil(new Date(last.createdAt.getTime() + delay * 1000), now);
+  return wait > 0 ? tooManyAttempts(wait) : null;
+}
+
+function sendThrottled(res, result) {
+  res.set('Retry-After', String(result.retryAfter));
+  res.status(result.status).json(result.body);
+}
+
+// Record a failed login. For a known account the failure counts towards its backoff, and
+// the LOCKOUT_ATTEMPTS-th locks it for LOCKOUT_MINUTES (the count then starts again).
+async function recordFailure({ role, username, account = null, ip, userAgent }, now = new Date()) {
+  let lockedAccount = false;
+
+  if (account) {
+    const Model = account.constructor;
+    const updated = await Model.findByIdAndUpdate(
+      account._id,
+      { $inc: { failedLogins: 1 }, lastFailedLogin: now },
+      { new: true }
+    );
+    if (updated && updated.failedLogins >= LOCKOUT_ATTEMPTS) {
+      await Model.updateOne(
+        { _id: account._id },
+        { failedLogins: 0, lockedUntil: new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000) }
+      );
+      lockedAccount = true;
+    }
+  }
+
+  await LoginAttempt.create({
+    role,
+    username: username.toLowerCase(),
+    accountId: account ? account._id : null,
+    ip,
+    userAgent,
+    reason: account ? 'bad_password' : 'unknown_user',
+    lockedAccount,
+    createdAt: now
+  });
+}
+
+// Forget an account's failed logins and lift any lock (caller saves)
+function clearFailures(account) {
+  account.failedLogins = 0;
+  account.lastFailedLogin = null;
+  account.lockedUntil = null;
+  return account;
+}
+
+// Lock state for admin listings
+function lockStatus(account, now = new Date()) {
+  return {
+    failedLogins: account.failedLogins || 0,
+    lockedUntil: account.lockedUntil && account.lockedUntil > now ? account.lockedUntil : null
+  };
+}
+
+module.exports = {
+  ipThrottle,
+  accountThrottle,
+  usernameThrottle,
+  sendThrottled,
+  recordFailure,
+  clearFailures,
+  lockStatus
+};
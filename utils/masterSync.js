@@ -0,0 +1,174 @@
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const MasterProduct = require('../models/MasterProduct');
+const { ORDER_RULE_FIELDS } = require('./orderRules');
+const { snapshot, recordVersion } = require('./productVersions');
+
+// Customer products assigned from the master catalog stay linked to their master product
+// (masterProductId). A linked product follows the master's value of each synced field unless
+// the field is pinned for the customer (listed in overriddenFields). The SKU always follows.
+const SYNCED_FIELDS = ['sku', 'name', 'price', 'unit', 'taxCategory', 'categories', ...ORDER_RULE_FIELDS, 'priceTiers'];
+const PINNABLE_FIELDS = SYNCED_FIELDS.filter(field => field !== 'sku');
+
+// Comparable plain value of a product field
+function plainValue(product, field) {
+  const value = product[field];
+  if (field === 'priceTiers') return (value || []).map(({ minQuantity, price }) => ({ minQuantity, price }));
+  if (field === 'categories') return [...(value || [])];
+  return value === undefined ? null : value;
+}
+
+function followedFields(product) {
+  const pinned = product.overriddenFields || [];
+  return SYNCED_FIELDS.filter(field => !pinned.includes(field));
+}
+
+// Synced fields where a product differs from its master: [{ field, value, masterValue, pinned }]
+function driftedFields(product, master) {
+  const pinned = product.overriddenFields || [];
+  return SYNCED_FIELDS
+    .filter(field => JSON.stringify(plainValue(product, field)) !== JSON.stringify(plainValue(master, field)))
+    .map(field => ({
+      field,
+      value: plainValue(product, field),
+      masterValue: plainValue(master, field),
+      pinned: pinned.includes(field)
+    }));
+}
+
+// Copy the followed fields and the discontinued flag from the master (caller saves)
+function syncFromMaster(product, master, { skipSku = false } = {}) {
+  for (const field of followedFields(product)) {
+    if (field === 'sku' && skipSku) continue;
+    product[field] = plainValue(master, field);
+  }
+  product.discontinued = Boolean(master.discontinued);
+  return product;
+}
+
+// Link a customer product to a master product (caller saves). Fields in `keep` whose value
+// differs from the master's (an empty value on one side only counts as different) are pinned
+// rather than overwritten - by default the price, which was negotiated with the customer.
+function linkToMaster(product, master, { keep = ['price'] } = {}) {
+  product.masterProductId = master._id;
+  const pinned = new Set(product.overriddenFields || []);
+  for (const field of keep) {
+    if (JSON.stringify(plainValue(product, field)) !== JSON.stringify(plainValue(master, field))) {
+      pinned.add(field);
+    }
+  }
+  product.overriddenFields = [...pinned];
+  return syncFromMaster(product, master);
+}
+
+// Discontinued products can't be ordered, so their drafts are cleared
+async function clearDrafts(productIds, session = null) {
+  if (productIds.length === 0) return;
+  await Order.updateMany(
+    { productId: { $in: productIds }, orderAmount: { $ne: 0 } },
+    { orderAmount: 0, lastUpdatedTimestamp: new Date() },
+    { session }
+  );
+}
+
+// Push a master product's values to its linked customer products, recording a 'sync' version
+// on each one that changes. Customers that already have another product with the master's
+// (new) SKU keep the old SKU; those are returned in `skuConflicts` and show in the sync report.
+async function propagateMaster(master, changedBy, session = null) {
+  const products = await Product.find({ masterProductId: master._id }).session(session);
+  const result = { updated: 0, skuConflicts: [] };
+  const discontinued = [];
+
+  for (const product of products) {
+    const skuTaken = product.sku !== master.sku && await Product.exists({
+      _id: { $ne: product._id },
+      customerId: product.customerId,
+      sku: master.sku
+    }).session(session);
+    if (skuTaken) {
+      result.skuConflicts.push({ productId: product._id, customerId: product.customerId, sku: product.sku });
+    }
+
+    const before = snapshot(product);
+    const wasDiscontinued = product.discontinued;
+    syncFromMaster(product, master, { skipSku: Boolean(skuTaken) });
+    if (JSON.stringify(snapshot(product)) === JSON.stringify(before) && product.discontinued === wasDiscontinued) continue;
+
+    product.lastUpdated = new Date();
+    await product.save({ session });
+    await recordVersion(product, before, changedBy, 'sync', session);
+    if (product.discontinued && !wasDiscontinued) discontinued.push(product._id);
+    result.updated++;
+  }
+
+  await clearDrafts(discontinued, session);
+  return result;
+}
+
+// When a master product is deleted its linked products are discontinued. They keep the
+// link, so the sync report lists them as having lost their master.
+async function discontinueLinked(masterId, session = null) {
+  const products = await Product.find({ masterProductId: masterId, discontinued: { $ne: true } })
+    .select('_id')
+    .session(session);
+  const productIds = products.map(product => product._id);
+
+  await Product.updateMany({ _id: { $in: productIds } }, { discontinued: true, lastUpdated: new Date() }, { session });
+  await clearDrafts(productIds, session);
+  return productIds.length;
+}
+
+// Linked customer products that have drifted from their master (pinned overrides included)
+// or lost it, plus how many customer products aren't linked to the catalog at all
+async function syncReport() {
+  const products = await Product.find({ masterProductId: { $ne: null } })
+    .populate('customerId', 'companyName')
+    .sort({ sku: 1 });
+  const masters = await MasterProduct.find({ _id: { $in: products.map(product => product.masterProductId) } });
+  const mastersById = new Map(masters.map(master => [master._id.toString(), master]));
+
+  const entries = [];
+  for (const product of products) {
+    const master = mastersById.get(product.masterProductId.toString());
+    const entry = {
+      productId: product._id,
+      customerId: product.customerId ? product.customerId._id : null,
+      companyName: product.customerId ? product.customerId.companyName : null,
+      sku: product.sku,
+      name: product.name,
+      masterProductId: product.masterProductId,
+      discontinued: product.discontinued
+    };
+
+    if (!master) {
+      entries.push({ ...entry, status: 'lost_master', fields: [] });
+      continue;
+    }
+    const fields = driftedFields(product, master);
+    if (fields.length > 0) {
+      entries.push({ ...entry, status: 'drifted', masterSku: master.sku, fields });
+    }
+  }
+
+  return {
+    summary: {
+      linked: products.length,
+      drifted: entries.filter(entry => entry.status === 'drifted').length,
+      lostMaster: entries.filter(entry => entry.status === 'lost_master').length,
+      unlinked: await Product.countDocuments({ masterProductId: null })
+    },
+    products: entries
+  };
+}
+
+module.exports = {
+  SYNCED_FIELDS,
+  PINNABLE_FIELDS,
+  plainValue,
+  driftedFields,
+  syncFromMaster,
+  linkToMaster,
+  propagateMaster,
+  discontinueLinked,
+  syncReport
+};
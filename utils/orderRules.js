@@ -0,0 +1,81 @@
+// Ordering rules: minimum order quantity, pack multiple, maximum quantity and lead time
+
+const ORDER_RULE_FIELDS = ['minOrderQuantity', 'orderMultiple', 'maxOrderQuantity', 'leadTimeDays'];
+
+// Earliest delivery date a product can be ordered for, given its lead time
+function earliestDeliveryDate(product, from = new Date()) {
+  const earliest = new Date(from);
+  earliest.setHours(0, 0, 0, 0);
+  earliest.setDate(earliest.getDate() + (product.leadTimeDays || 0));
+  return earliest;
+}
+
+// Earliest delivery date for one order of all `products` (null when none has a lead time).
+// Orders submitted without a delivery date are for this date.
+function earliestOrderDelivery(products, from = new Date()) {
+  const leadTimeDays = Math.max(0, ...products.map(product => product.leadTimeDays || 0));
+  return leadTimeDays > 0 ? earliestDeliveryDate({ leadTimeDays }, from) : null;
+}
+
+// Problems with ordering `quantity` of `product` (empty when the line is fine).
+// A quantity of 0 means "not ordering" and is always allowed. Lines that aren't dated yet
+// (drafts, templates) pass no deliveryDate: they are dated for the earliest delivery their
+// lead time allows when submitted.
+function orderRuleErrors(product, quantity, deliveryDate) {
+  const errors = [];
+  if (!quantity) return errors;
+
+  if (product.discontinued) {
+    errors.push('has been discontinued');
+    return errors;
+  }
+  if (product.minOrderQuantity && quantity < product.minOrderQuantity) {
+    errors.push(`minimum order is ${product.minOrderQuantity} ${product.unit}`);
+  }
+  if (product.orderMultiple > 1 && quantity % product.orderMultiple !== 0) {
+    errors.push(`must be ordered in multiples of ${product.orderMultiple}`);
+  }
+  if (product.maxOrderQuantity && quantity > product.maxOrderQuantity) {
+    errors.push(`maximum order is ${product.maxOrderQuantity} ${product.unit}`);
+  }
+  if (deliveryDate && product.leadTimeDays) {
+    const earliest = earliestDeliveryDate(product);
+    if (new Date(deliveryDate) < earliest) {
+      errors.push(`needs ${product.leadTimeDays} day(s) notice (earliest delivery ${earliest.toISOString().slice(0, 10)})`);
+    }
+  }
+
+  return errors;
+}
+
+// Rule fields present in a request body (null clears a rule)
+function pickOrderRules(body) {
+  const rules = {};
+  for (const field of ORDER_RULE_FIELDS) {
+    if (body[field] !== undefined) {
+      rules[field] = body[field];
+    }
+  }
+  return rules;
+}
+
+// Field errors for rules that contradict each other on a product
+function ruleConsistencyErrors(product) {
+  const errors = [];
+  if (product.maxOrderQuantity && product.maxOrderQuantity < (product.minOrderQuantity || 0)) {
+    errors.push({ field: 'maxOrderQuantity', message: 'must not be less than minOrderQuantity' });
+  }
+  if (product.maxOrderQuantity && product.orderMultiple > product.maxOrderQuantity) {
+    errors.push({ field: 'orderMultiple', message: 'must not be more than maxOrderQuantity' });
+  }
+  return errors;
+}
+
+module.exports = {
+  ORDER_RULE_FIELDS,
+  earliestDeliveryDate,
+  earliestOrderDelivery,
+  orderRuleErrors,
+  pickOrderRules,
+  ruleConsistencyErrors
+};
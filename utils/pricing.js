@@ -0,0 +1,134 @@
+const PriceList = require('../models/PriceList');
+
+// Price lists in force for a customer at a moment: the customer's own lists plus base lists
+async function activePriceLists(customerId, at = new Date(), session = null) {
+  return PriceList.find({
+    ...PriceList.activeAt(at),
+    $and: [{ $or: [{ type: 'base' }, { customerId }] }]
+  }).sort({ effectiveFrom: -1 }).session(session);
+}
+
+// The price of a SKU from the highest-precedence list that has it. Within a type the
+// most recently effective list wins. Returns null if no list prices the SKU.
+function priceFromLists(lists, sku) {
+  for (const type of PriceList.PRICE_LIST_TYPES) {
+    for (const list of lists) {
+      if (list.type !== type) continue;
+      const entry = list.prices.find(p => p.sku === sku);
+      if (entry) {
+        return { price: entry.price, priceSource: type, priceListId: list._id };
+      }
+    }
+  }
+  return null;
+}
+
+// Resolve the price of each of a customer's products at a moment. Products without a
+// list price keep the price on the product record. Returns a Map keyed by product id.
+async function resolvePrices(customerId, products, at = new Date(), session = null) {
+  const lists = await activePriceLists(customerId, at, session);
+  const prices = new Map();
+
+  for (const product of products) {
+    prices.set(product._id.toString(), priceFromLists(lists, product.sku) || {
+      price: product.price,
+      priceSource: 'product',
+      priceListId: null
+    });
+  }
+  return prices;
+}
+
+// Resolve the price of a single product
+async function resolvePrice(product, at = new Date(), session = null) {
+  const prices = await resolvePrices(product.customerId, [product], at, session);
+  return prices.get(product._id.toString());
+}
+
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Price per unit for a quantity: the price of the highest quantity break reached,
+// unless the list price is already lower (a contract price is never undercut by a tier)
+function unitPriceFor(product, quantity, listPrice) {
+  const tier = (product.priceTiers || [])
+    .filter(t => quantity >= t.minQuantity)
+    .sort((a, b) => b.minQuantity - a.minQuantity)[0];
+  return tier && tier.price < listPrice ? tier.price : listPrice;
+}
+
+// Price [{ product, quantity }] for a customer at a moment. Returns each line with its
+// list price, unit price and total, plus totals over the lines with a quantity.
+async function priceLines(customerId, lines, at = new Date(), session = null) {
+  const prices = await resolvePrices(customerId, lines.map(line => line.product), at, session);
+
+  const priced = lines.map(({ product, quantity }) => {
+    const { price: listPrice, priceSource } = prices.get(product._id.toString());
+    const unitPrice = unitPriceFor(product, quantity, listPrice);
+    return {
+      product,
+      quantity,
+      listPrice,
+      priceSource,
+      unitPrice,
+      lineTotal: roundMoney(unitPrice * quantity)
+    };
+  });
+
+  const ordered = priced.filter(line => line.quantity > 0);
+  return {
+    lines: priced,
+    lineCount: ordered.length,
+    totalQuantity: ordered.reduce((sum, line) => sum + line.quantity, 0),
+    totalAmount: roundMoney(ordered.reduce((sum, line) => sum + line.lineTotal, 0))
+  };
+}
+
+// Field errors for quantity breaks that contradict each other
+function priceTierErrors(product) {
+  const errors = [];
+  const seen = new Set();
+  (product.priceTiers || []).forEach((tier, index) => {
+    if (seen.has(tier.minQuantity)) {
+      errors.push({ field: `priceTiers[${index}].minQuantity`, message: `repeats the break at ${tier.minQuantity}` });
+    }
+    seen.add(tier.minQuantity);
+  });
+  return errors;
+}
+
+// Field errors for a price list that contradicts itself
+function priceListErrors(list) {
+  const errors = [];
+  if (list.type === 'base' && list.customerId) {
+    errors.push({ field: 'customerId', message: 'must not be set on a base price list' });
+  }
+  if (list.type !== 'base' && !list.customerId) {
+    errors.push({ field: 'customerId', message: `is required for a ${list.type} price list` });
+  }
+  if (list.effectiveTo && list.effectiveTo <= list.effectiveFrom) {
+    errors.push({ field: 'effectiveTo', message: 'must be after effectiveFrom' });
+  }
+
+  const seen = new Set();
+  list.prices.forEach((entry, index) => {
+    if (seen.has(entry.sku)) {
+      errors.push({ field: `prices[${index}].sku`, message: `lists ${entry.sku} more than once` });
+    }
+    seen.add(entry.sku);
+  });
+  return errors;
+}
+
+module.exports = {
+  activePriceLists,
+  priceFromLists,
+  resolvePrices,
+  resolvePrice,
+  roundMoney,
+  unitPriceFor,
+  priceLines,
+  priceTierErrors,
+  priceListErrors
+};
@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { getStorage } = require('./storage');
+
+// Product images and PDF spec sheets. Files are stored under random keys (never reused, so
+// they can be cached forever) and served by routes/files.js.
+
+const THUMBNAIL_SIZE = 200;  // Pixels, longest side
+
+const IMAGE_TYPES = {
+  jpeg: { extension: 'jpg', contentType: 'image/jpeg' },
+  png: { extension: 'png', contentType: 'image/png' },
+  webp: { extension: 'webp', contentType: 'image/webp' },
+  gif: { extension: 'gif', contentType: 'image/gif' }
+};
+
+function newKey(extension) {
+  return `${crypto.randomUUID()}.${extension}`;
+}
+
+// Format of an uploaded image, or null if it isn't one we accept
+async function imageType(buffer) {
+  try {
+    const { format } = await sharp(buffer).metadata();
+    return IMAGE_TYPES[format] || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Store an uploaded image and its thumbnail; returns the `image` to set on the master
+// product, or null if the upload isn't a JPEG, PNG, WebP or GIF image
+async function storeProductImage(buffer) {
+  const type = await imageType(buffer);
+  if (!type) return null;
+
+  const thumbnail = await sharp(buffer)
+    .rotate()  // Respect EXIF orientation from phone cameras
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: 80 })
+    .toBuffer();
+
+  const image = {
+    key: newKey(type.extension),
+    thumbnailKey: newKey('webp'),
+    contentType: type.contentType,
+    uploadedAt: new Date()
+  };
+
+  const storage = getStorage();
+  await storage.save(image.key, buffer);
+  await storage.save(image.thumbnailKey, thumbnail);
+  return image;
+}
+
+// Store an uploaded spec sheet; returns the `specSheet` to set on the master product,
+// or null if the upload isn't a PDF
+async function storeSpecSheet(buffer, fileName) {
+  if (buffer.length < 5 || buffer.subarray(0, 5).toString('latin1') !== '%PDF-') return null;
+
+  const specSheet = {
+    key: newKey('pdf'),
+    fileName: fileName || 'spec-sheet.pdf',
+    contentType: 'application/pdf',
+    size: buffer.length,
+    uploadedAt: new Date()
+  };
+
+  await getStorage().save(specSheet.key, buffer);
+  return specSheet;
+}
+
+// Delete the files behind image and spec sheet entries (replaced or removed ones)
+async function removeMediaFiles(...media) {
+  const storage = getStorage();
+  for (const entry of media.filter(Boolean)) {
+    for (const key of [entry.key, entry.thumbnailKey].filter(Boolean)) {
+      await storage.remove(key);
+    }
+  }
+}
+
+function fileUrl(key) {
+  return `/api/files/${encodeURIComponent(key)}`;
+}
+
+// Public URLs of a master product's media (null where there is none)
+function mediaUrls(master) {
+  const image = master && master.image;
+  const specSheet = master && master.specSheet;
+  return {
+    imageUrl: image ? fileUrl(image.key) : null,
+    thumbnailUrl: image ? fileUrl(image.thumbnailKey) : null,
+    specSheetUrl: specSheet ? fileUrl(specSheet.key) : null,
+    specSheetName: specSheet ? specSheet.fileName : null
+  };
+}
+
+module.exports = { storeProductImage, storeSpecSheet, removeMediaFiles, mediaUrls };
@@ -0,0 +1,92 @@
+const ProductVersion = require('../models/ProductVersion');
+const Counter = require('../models/Counter');
+const { ORDER_RULE_FIELDS } = require('./orderRules');
+
+// Fields whose changes are versioned (customer products also version their overrides)
+const TRACKED_FIELDS = ['sku', 'name', 'price', 'unit', 'taxCategory', 'categories', ...ORDER_RULE_FIELDS, 'priceTiers'];
+
+function trackedFields(product) {
+  return product.overriddenFields ? [...TRACKED_FIELDS, 'overriddenFields'] : TRACKED_FIELDS;
+}
+
+// Plain copy of a product's tracked fields
+function snapshot(product) {
+  const values = {};
+  for (const field of trackedFields(product)) {
+    const value = product[field];
+    values[field] = Array.isArray(value)
+      ? value.map(item => (item && item.toObject ? item.toObject({ versionKey: false }) : item))
+      : value;
+  }
+  return values;
+}
+
+// Allocate the product's next version number atomically, so concurrent edits don't collide.
+// Products versioned before the counter existed continue from their latest version.
+async function nextVersionNumber(product, session) {
+  const latest = await ProductVersion.findOne({ productId: product._id })
+    .sort({ version: -1 })
+    .select('version')
+    .session(session);
+  return Counter.next(`productVersion:${product._id}`, latest ? latest.version : 0, session);
+}
+
+// Store `before` as a new version if the product has changed since it was taken
+async function recordVersion(product, before, changedBy, reason = 'update', session = null) {
+  const changedFields = trackedFields(product).filter(field =>
+    JSON.stringify(before[field]) !== JSON.stringify(snapshot(product)[field]));
+  if (changedFields.length === 0) return null;
+
+  const [version] = await ProductVersion.create([{
+    productModel: product.constructor.modelName,
+    productId: product._id,
+    version: await nextVersionNumber(product, session),
+    values: before,
+    changedFields,
+    reason,
+    changedBy
+  }], { session });
+  return version;
+}
+
+// Version history of a product, newest first, with the values in force at `at` if given.
+// A version holds the values from the previous change until its changedAt.
+async function productHistory(product, at = null) {
+  const versions = await ProductVersion.find({ productId: product._id })
+    .sort({ version: -1 })
+    .populate('changedBy', 'username');
+
+  const history = {
+    current: snapshot(product),
+    versions: versions.map(version => ({
+      version: version.version,
+      values: version.values,
+      changedFields: version.changedFields,
+      reason: version.reason,
+      changedBy: version.changedBy ? version.changedBy.username : null,
+      changedAt: version.changedAt
+    }))
+  };
+
+  if (at) {
+    const replacedAfter = [...versions].reverse().find(version => version.changedAt > at);
+    history.valuesAt = replacedAfter ? replacedAfter.values : history.current;
+  }
+  return history;
+}
+
+// Put a product back to the values stored in one of its versions (caller validates and saves)
+async function applyVersion(product, versionNumber) {
+  const version = await ProductVersion.findOne({ productId: product._id, version: versionNumber });
+  if (!version) return null;
+
+  for (const field of trackedFields(product)) {
+    if (version.values[field] !== undefined) {
+      product[field] = version.values[field];
+    }
+  }
+  product.lastUpdated = new Date();
+  return version;
+}
+
+module.exports = { TRACKED_FIELDS, snapshot, recordVersion, productHistory, applyVersion };
@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const CustomerUser = require('../models/CustomerUser');
+const Admin = require('../models/Admin');
+const Session = require('../models/Session');
+const { JWT_SECRET } = require('../middleware/auth');
+
+// Access tokens are short-lived; the refresh token of the session gets new ones until it expires
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30;
+// A refresh token rotated this recently may come back (another tab refreshing at the same
+// time) without counting as reuse
+const ROTATION_GRACE_MS = 30 * 1000;
+
+const REVOKED = { status: 401, body: { error: 'Session has been revoked. Please log in again.' } };
+
+// Customer sessions belong to a customer user, admin sessions to an admin
+function accountModel(role) {
+  return role === 'admin' ? Admin : CustomerUser;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function newRefreshToken() {
+  return crypto.randomBytes(48).toString('base64url');
+}
+
+// A customer user's token carries the company as `id` (what customer data is keyed by)
+// and the user as `userId`
+function accessToken(account, session) {
+  const subject = session.role === 'customer'
+    ? { id: account.customerId, userId: account._id, customerRole: account.role }
+    : { id: account._id };
+  return jwt.sign(
+    { ...subject, username: account.username, role: session.role, sid: session._id, tokenVersion: session.tokenVersion },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+// Start a session for an account that has just logged in: { token, refreshToken }
+async function startSession(account, role, userAgent = null) {
+  const refreshToken = newRefreshToken();
+  const session = await Session.create({
+    userId: account._id,
+    role,
+    refreshTokenHash: hashToken(refreshToken),
+    tokenVersion: account.tokenVersion || 0,
+    userAgent,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000)
+  });
+  return { token: accessToken(account, session), refreshToken };
+}
+
+// Exchange a refresh token for a new access token and a new refresh token: { status, body }
+async function refreshSession(refreshToken) {
+  const hash = hashToken(refreshToken);
+  const session = await Session.findOne({ refreshTokenHash: hash });
+
+  if (!session) {
+    const rotated = await Session.findOne({ previousTokenHashes: hash });
+    if (!rotated) {
+      return { status: 401, body: { error: 'Invalid refresh token' } };
+    }
+    const justRotated = rotated.previousTokenHashes[rotated.previousTokenHashes.length - 1] === hash &&
+      rotated.rotatedAt > new Date(Date.now() - ROTATION_GRACE_MS);
+    if (justRotated) {
+      return { status: 409, body: { error: 'Refresh token has just been rotated' } };
+    }
+    // An old refresh token came back - it may have been copied, so the session ends
+    await revokeSession(rotated);
+    return REVOKED;
+  }
+
+  if (session.revokedAt || session.expiresAt <= new Date()) {
+    return REVOKED;
+  }
+  const account = await accountModel(session.role).findById(session.userId);
+  if (!account || account.disabled || (account.tokenVersion || 0) !== session.tokenVersion) {
+    await revokeSession(session);
+    return REVOKED;
+  }
+
+  // Only one request can rotate a given refresh token
+  const next = newRefreshToken();
+  const now = new Date();
+  const updated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: hash, revokedAt: null },
+    { refreshTokenHash: hashToken(next), $push: { previousTokenHashes: hash }, rotatedAt: now, lastUsedAt: now },
+    { new: true }
+  );
+  if (!updated) {
+    return { status: 409, body: { error: 'Refresh token has just been rotated' } };
+  }
+
+  return { status: 200, body: { token: accessToken(account, updated), refreshToken: next } };
+}
+
+async function revokeSession(session) {
+  await Session.updateOne({ _id: session._id, revokedAt: null }, { revokedAt: new Date() });
+}
+
+// Log out the session a refresh token belongs to; unknown tokens are ignored
+async function endSession(refreshToken) {
+  const hash = hashToken(refreshToken);
+  const session = await Session.findOne({ $or: [{ refreshTokenHash: hash }, { previousTokenHashes: hash }] });
+  if (session) await revokeSession(session);
+}
+
+// Revoke every session of an account (password changed, account disabled or deleted). Bumping
+// tokenVersion also rejects access tokens issued before this change. Returns the account.
+async function revokeAccountSessions(accountId, role) {
+  const account = await accountModel(role).findByIdAndUpdate(accountId, { $inc: { tokenVersion: 1 } }, { new: true });
+  await Session.updateMany({ userId: accountId, role, revokedAt: null }, { revokedAt: new Date() });
+  return account;
+}
+
+// Revoke the sessions of every user of a customer company
+async function revokeCustomerSessions(customerId) {
+  const users = await CustomerUser.find({ customerId }).select('_id');
+  for (const user of users) {
+    await revokeAccountSessions(user._id, 'customer');
+  }
+}
+
+module.exports = {
+  startSession,
+  refreshSession,
+  endSession,
+  revokeAccountSessions,
+  revokeCustomerSessions
+};
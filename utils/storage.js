@@ -0,0 +1,54 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// File storage for uploads (product images, spec sheets). An adapter stores files by key:
+//   save(key, buffer), read(key) -> Buffer or null, remove(key)
+// The adapter is chosen with FILE_STORAGE (default "local"); register others with
+// registerStorageAdapter(name, () => adapter).
+
+// Local filesystem under UPLOAD_DIR (default ./uploads)
+function createLocalStorage(rootDir) {
+  const fileFor = (key) => path.join(rootDir, path.basename(key));
+
+  return {
+    async save(key, buffer) {
+      await fs.mkdir(rootDir, { recursive: true });
+      await fs.writeFile(fileFor(key), buffer);
+    },
+    async read(key) {
+      try {
+        return await fs.readFile(fileFor(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+    async remove(key) {
+      await fs.rm(fileFor(key), { force: true });
+    }
+  };
+}
+
+const adapters = {
+  local: () => createLocalStorage(process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'))
+};
+
+let storage = null;
+
+function registerStorageAdapter(name, factory) {
+  adapters[name] = factory;
+  storage = null;
+}
+
+function getStorage() {
+  if (!storage) {
+    const name = process.env.FILE_STORAGE || 'local';
+    if (!adapters[name]) {
+      throw new Error(`Unknown FILE_STORAGE "${name}"`);
+    }
+    storage = adapters[name]();
+  }
+  return storage;
+}
+
+module.exports = { createLocalStorage, registerStorageAdapter, getStorage };
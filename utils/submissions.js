@@ -0,0 +1,847 @@
+const Order = require('../models/Order');
+const Customer = require('../models/Customer');
+const Product = require('../models/Product');
+const OrderHistory = require('../models/OrderHistory');
+const Submission = require('../models/Submission');
+const CustomerUser = require('../models/CustomerUser');
+const { orderRuleErrors } = require('./orderRules');
+const { roundMoney, unitPriceFor, priceLines } = require('./pricing');
+const { taxContext, taxRateFor, invoiceTotals, applyTax } = require('./tax');
+const { planReservations, applyReservations, releaseReservations, mastersForLines } = require('./inventory');
+const { mediaUrls } = require('./productMedia');
+const { explodeLines, bundleBackorder } = require('./bundles');
+const { approvalReasons } = require('./approvals');
+const { hasCalendar, nextDelivery } = require('./deliveryCalendar');
+const { customerPermissionsFor } = require('../middleware/authorize');
+const { validationErrorBody } = require('../middleware/validate');
+
+// Lines submitted before quantity breaks existed were charged the list price
+function lineUnitPrice(entry) {
+  return entry.unitPrice !== undefined && entry.unitPrice !== null ? entry.unitPrice : entry.productDetails.price;
+}
+
+function lineTotal(entry) {
+  return entry.lineTotal !== undefined && entry.lineTotal !== null
+    ? entry.lineTotal
+    : roundMoney(entry.orderAmount * entry.productDetails.price);
+}
+
+// Shape a history line for API responses (`master` is the current master product, for the thumbnail)
+function formatLine(entry, master = null) {
+  return {
+    _id: entry._id,
+    productId: entry.productId,
+    lineType: entry.lineType || 'item',
+    sku: entry.productDetails.sku,
+    name: entry.productDetails.name,
+    price: entry.productDetails.price,
+    unitPrice: lineUnitPrice(entry),
+    lineTotal: lineTotal(entry),
+    taxRate: entry.taxRate !== undefined && entry.taxRate !== null ? entry.taxRate : null,
+    unit: entry.productDetails.unit,
+    orderAmount: entry.orderAmount,
+    backorderedAmount: entry.backorderedAmount || 0,
+    fulfilledAmount: entry.fulfilledAmount || 0,
+    lineStatus: entry.lineStatus || 'open',
+    substitution: entry.substitution && entry.substitution.sku ? entry.substitution : null,
+    fulfilmentNote: entry.fulfilmentNote || null,
+    submittedByName: entry.submittedByName || null,
+    thumbnailUrl: mediaUrls(master).thumbnailUrl
+  };
+}
+
+// Attach line items to a list of submissions, preserving submission order. Bundles show as
+// one line; with `components` (the admin's pick view) each bundle line lists its component lines.
+async function withLines(submissions, { components = false } = {}) {
+  const allLines = await OrderHistory.find({
+    submissionId: { $in: submissions.map(s => s._id) },
+    orderAmount: { $gt: 0 }
+  }).sort({ 'productDetails.sku': 1 });
+  const lines = allLines.filter(entry => entry.lineType !== 'component');
+  const masters = await mastersForLines(lines.map(entry => ({ sku: entry.productDetails.sku, masterProductId: entry.masterProductId })));
+
+  const linesBySubmission = lines.reduce((acc, entry, index) => {
+    const key = entry.submissionId.toString();
+    const line = formatLine(entry, masters[index]);
+    if (components && entry.lineType === 'bundle') {
+      line.components = allLines
+        .filter(component => component.lineType === 'component' && component.bundleLineId.equals(entry._id))
+        .map(component => ({ ...formatLine(component), bundleQuantity: component.bundleQuantity }));
+    }
+    (acc[key] = acc[key] || []).push(line);
+    return acc;
+  }, {});
+
+  return submissions.map(submission => ({
+    _id: submission._id,
+    orderNumber: submission.orderNumber,
+    status: submission.status,
+    submittedAt: submission.submittedAt,
+    submittedByName: submission.submittedByName || null,
+    acknowledgedAt: submission.acknowledgedAt,
+    inFulfilmentAt: submission.inFulfilmentAt,
+    fulfilledAt: submission.fulfilledAt,
+    cancelledAt: submission.cancelledAt,
+    rejectedAt: submission.rejectedAt,
+    lineCount: submission.lineCount,
+    totalQuantity: submission.totalQuantity,
+    totalAmount: submission.totalAmount,
+    currency: submission.currency || null,
+    exchangeRate: submission.exchangeRate || null,
+    netAmount: submission.netAmount !== undefined ? submission.netAmount : null,
+    taxAmount: submission.taxAmount !== undefined ? submission.taxAmount : null,
+    grossAmount: submission.grossAmount !== undefined ? submission.grossAmount : null,
+    taxBreakdown: submission.taxBreakdown || [],
+    deliveryDate: submission.deliveryDate,
+    cutoffAt: submission.cutoffAt,
+    rolledForward: submission.rolledForward || false,
+    isArchived: submission.isArchived || false,
+    canAmend: submission.isAmendable(),
+    approval: submission.approval && submission.approval.requestedAt ? {
+      reasons: submission.approval.reasons,
+      requestedAt: submission.approval.requestedAt,
+      decidedByName: submission.approval.decidedByName || null,
+      decidedAt: submission.approval.decidedAt || null,
+      rejectionReason: submission.approval.rejectionReason || null
+    } : null,
+    revisions: (submission.revisions || []).map(revision => ({
+      type: revision.type,
+      revisedAt: revision.revisedAt,
+      changes: revision.changes
+    })),
+    shipments: (submission.shipments || []).map(shipment => ({
+      reference: shipment.reference,
+      deliveryDate: shipment.deliveryDate,
+      recordedAt: shipment.recordedAt,
+      lines: shipment.lines
+    })),
+    items: linesBySubmission[submission._id.toString()] || []
+  }));
+}
+
+// Save draft amounts for [{ productId, orderAmount }]
+async function saveDrafts(customerId, orders, session) {
+  const timestamp = new Date();
+
+  for (const order of orders) {
+    await Order.findOneAndUpdate(
+      { customerId, productId: order.productId },
+      {
+        orderAmount: order.orderAmount,
+        lastUpdatedTimestamp: timestamp
+      },
+      { upsert: true, new: true, session }
+    );
+  }
+
+  return { message: 'All drafts updated successfully', timestamp };
+}
+
+// 400 body for lines that exceed the stock of products that don't allow back-orders.
+// `lines[i]` is the { field, productId } of the i-th line given to planReservations.
+function stockErrorResult(errors, lines) {
+  return {
+    status: 400,
+    body: validationErrorBody(errors.map(error => ({
+      field: lines[error.index].field,
+      productId: lines[error.index].productId,
+      message: `${error.sku}: ${error.message}`
+    })))
+  };
+}
+
+// Group planReservations results by order line: [[{ stockLine, plan }]] (a bundle has one
+// part per component)
+function stockParts(stockLines, plans, lineCount) {
+  const parts = Array.from({ length: lineCount }, () => []);
+  stockLines.forEach((stockLine, index) => parts[stockLine.index].push({ stockLine, plan: plans[index] }));
+  return parts;
+}
+
+// Save the history line of an ordered product, with the stock `parts` from stockParts.
+// A bundle is saved as a bundle line plus one component line per component.
+async function saveHistoryLine(fields, parts, session) {
+  const componentParts = parts.filter(({ stockLine }) => stockLine.component);
+  const [part] = parts;
+
+  if (componentParts.length === 0) {
+    return new OrderHistory({
+      ...fields,
+      masterProductId: part ? part.plan.masterId : fields.masterProductId,
+      reservedAmount: part ? part.plan.reservedAmount : 0,
+      backorderedAmount: part ? part.plan.backorderedAmount : 0
+    }).save({ session });
+  }
+
+  const componentLines = componentParts.map(({ stockLine, plan }) => new OrderHistory({
+    submissionId: fields.submissionId,
+    customerId: fields.customerId,
+    productId: fields.productId,
+    submittedAt: fields.submittedAt,
+    lineType: 'component',
+    bundleQuantity: stockLine.component.quantity,
+    orderAmount: stockLine.quantity,
+    productDetails: {
+      sku: stockLine.component.master.sku,
+      name: stockLine.component.master.name,
+      price: stockLine.component.master.price,
+      unit: stockLine.component.master.unit
+    },
+    unitPrice: 0,  // Charged on the bundle line
+    lineTotal: 0,
+    taxCategory: fields.taxCategory,
+    taxRate: fields.taxRate,
+    masterProductId: plan.masterId,
+    reservedAmount: plan.reservedAmount,
+    backorderedAmount: plan.backorderedAmount
+  }));
+
+  const bundleLine = await new OrderHistory({
+    ...fields,
+    lineType: 'bundle',
+    reservedAmount: 0,
+    backorderedAmount: bundleBackorder(componentLines)
+  }).save({ session });
+
+  for (const componentLine of componentLines) {
+    componentLine.bundleLineId = bundleLine._id;
+    await componentLine.save({ session });
+  }
+  return bundleLine;
+}
+
+// The customer user `userId`, or null (scheduled template orders have no user)
+async function findCustomerUser(userId, session) {
+  return userId ? CustomerUser.findById(userId).select('name role').session(session) : null;
+}
+
+// The submittedBy/submittedByName fields for lines placed by `user`
+function submitterFields(user) {
+  return user ? { submittedBy: user._id, submittedByName: user.name } : { submittedBy: null };
+}
+
+// Submit [{ productId, orderAmount }] as one submission, reserve stock and reset the drafts.
+// `submittedBy` is the customer user placing the order (null for scheduled templates).
+// Orders matching the customer's approval rules are held as pending_approval (stock is still
+// reserved) and stay off the admin dashboard until an approver signs them off; approvers'
+// own orders go straight through.
+// Run inside a transaction (see runIdempotent); returns { status, body }.
+async function submitOrders(customerId, orders, session, { deliveryDate, cutoffAt, rolledForward } = {}, submittedBy = null) {
+  const timestamp = new Date();
+  const user = await findCustomerUser(submittedBy, session);
+  const submitter = submitterFields(user);
+
+  // Resolve products and collect the lines that make up this submission
+  const lines = [];
+  for (const [index, order] of orders.entries()) {
+    const product = await Product.findOne({ _id: order.productId, customerId }).session(session);
+    if (!product) continue;
+    lines.push({ product, quantity: order.orderAmount, field: `orders[${index}].orderAmount` });
+  }
+
+  // Check stock before anything is saved (bundles reserve their components)
+  const ordered = lines.filter(line => line.quantity > 0);
+  const stockLines = await explodeLines(ordered, session);
+  const { plans, errors } = await planReservations(stockLines, session);
+  if (errors.length > 0) {
+    return stockErrorResult(errors, stockLines.map(({ index }) => ({ field: ordered[index].field, productId: ordered[index].product._id })));
+  }
+  const parts = stockParts(stockLines, plans, ordered.length);
+  const reservations = new Map(ordered.map((line, index) => [line.product._id.toString(), parts[index]]));
+
+  // Prices come from the price lists and quantity breaks in force at submission time,
+  // tax and currency from the customer's current rates
+  const pricing = await applyTax(customerId, await priceLines(customerId, lines, timestamp, session), session);
+
+  const customer = await Customer.findById(customerId).select('approvalRules').session(session);
+  const canApprove = Boolean(user) && customerPermissionsFor(user.role).includes('orders.approve');
+  const reasons = canApprove ? [] : approvalReasons(customer && customer.approvalRules, pricing);
+  const pending = reasons.length > 0;
+
+  // Create the submission header (only if something was ordered)
+  let submission = null;
+  if (pricing.lineCount > 0) {
+    submission = new Submission({
+      orderNumber: await Submission.nextOrderNumber(session),
+      customerId,
+      ...submitter,
+      lineCount: pricing.lineCount,
+      totalQuantity: pricing.totalQuantity,
+      totalAmount: pricing.totalAmount,
+      currency: pricing.currency,
+      exchangeRate: pricing.exchangeRate,
+      netAmount: pricing.netAmount,
+      taxAmount: pricing.taxAmount,
+      grossAmount: pricing.grossAmount,
+      taxBreakdown: pricing.taxBreakdown,
+      deliveryDate,
+      cutoffAt,
+      rolledForward: Boolean(rolledForward),
+      submittedAt: timestamp,
+      approval: pending ? { reasons, requestedAt: timestamp } : undefined
+    });
+    submission.transitionTo(pending ? 'pending_approval' : 'submitted', submittedBy || customerId, timestamp);
+    await submission.save({ session });
+    await applyReservations(plans, session);
+  }
+
+  const backordered = [];
+  for (const { product, quantity: orderAmount, listPrice, unitPrice, lineTotal, taxCategory, taxRate } of pricing.lines) {
+    // Save to order history (only if quantity > 0)
+    if (orderAmount > 0) {
+      const historyEntry = await saveHistoryLine({
+        submissionId: submission._id,
+        customerId,
+        productId: product._id,
+        orderAmount: orderAmount,
+        submittedAt: timestamp,
+        ...submitter,
+        productDetails: {
+          sku: product.sku,
+          name: product.name,
+          price: listPrice,
+          unit: product.unit
+        },
+        unitPrice,
+        lineTotal,
+        taxCategory,
+        taxRate,
+        masterProductId: product.masterProductId
+      }, reservations.get(product._id.toString()), session);
+
+      if (historyEntry.backorderedAmount > 0) {
+        backordered.push({ sku: product.sku, name: product.name, backorderedAmount: historyEntry.backorderedAmount });
+      }
+    }
+
+    // Update current order - set submitted amount and reset draft. Amounts awaiting
+    // approval reach the dashboard when approved (approveSubmission).
+    await Order.findOneAndUpdate(
+      { customerId, productId: product._id },
+      pending
+        ? { orderAmount: 0, lastUpdatedTimestamp: timestamp }
+        : {
+          lastSubmittedAmount: orderAmount,
+          lastSubmittedTimestamp: timestamp,
+          orderAmount: 0,
+          lastUpdatedTimestamp: timestamp
+        },
+      { new: true, upsert: true, session }
+    );
+  }
+
+  return {
+    status: 200,
+    body: {
+      message: pending ? 'Order sent for approval' : 'Orders submitted successfully',
+      timestamp,
+      submissionId: submission ? submission._id : null,
+      orderNumber: submission ? submission.orderNumber : null,
+      status: submission ? submission.status : null,
+      approvalReasons: reasons,
+      deliveryDate: submission ? submission.deliveryDate : null,
+      rolledForward: submission ? submission.rolledForward : false,
+      backordered
+    }
+  };
+}
+
+// Short summary of a submission for amend/cancel responses
+function revisionResult(submission, message) {
+  return {
+    message,
+    submissionId: submission._id,
+    orderNumber: submission.orderNumber,
+    status: submission.status,
+    lineCount: submission.lineCount,
+    totalQuantity: submission.totalQuantity,
+    totalAmount: submission.totalAmount,
+    currency: submission.currency || null,
+    grossAmount: submission.grossAmount !== undefined ? submission.grossAmount : null
+  };
+}
+
+// Recalculate header totals from the submission's lines
+async function refreshTotals(submission, session) {
+  const lines = await OrderHistory.find({
+    submissionId: submission._id,
+    orderAmount: { $gt: 0 },
+    lineType: { $ne: 'component' }
+  }).session(session);
+
+  submission.lineCount = lines.length;
+  submission.totalQuantity = lines.reduce((sum, line) => sum + line.orderAmount, 0);
+  submission.totalAmount = roundMoney(lines.reduce((sum, line) => sum + lineTotal(line), 0));
+
+  // Invoice totals keep the submission's currency, exchange rate and line tax rates
+  if (submission.currency) {
+    const totals = invoiceTotals(
+      lines.map(line => ({ lineTotal: lineTotal(line), taxRate: line.taxRate || 0 })),
+      submission.currency,
+      submission.exchangeRate
+    );
+    submission.netAmount = totals.netAmount;
+    submission.taxAmount = totals.taxAmount;
+    submission.grossAmount = totals.grossAmount;
+    submission.taxBreakdown = totals.taxBreakdown;
+  }
+  return submission;
+}
+
+// Keep the "last submitted" amounts on Order in step with an amended submission
+// (unless a newer submission has already replaced them, or it still awaits approval)
+async function syncSubmittedAmount(submission, productId, orderAmount, session) {
+  if (submission.status !== 'submitted') return;
+  await Order.updateOne(
+    {
+      customerId: submission.customerId,
+      productId,
+      lastSubmittedTimestamp: { $not: { $gt: submission.submittedAt } }
+    },
+    { lastSubmittedAmount: orderAmount, lastSubmittedTimestamp: submission.submittedAt },
+    { session }
+  );
+}
+
+// The approval rules an amended submission matches (see approvalReasons); empty when none
+// match or `revisedBy` may approve orders
+async function amendmentApprovalReasons(submission, revisedBy, session) {
+  const user = await findCustomerUser(revisedBy, session);
+  if (user && customerPermissionsFor(user.role).includes('orders.approve')) return [];
+
+  const customer = await Customer.findById(submission.customerId).select('approvalRules').session(session);
+  const lines = await OrderHistory.find({
+    submissionId: submission._id,
+    orderAmount: { $gt: 0 },
+    lineType: { $ne: 'component' }
+  }).session(session);
+
+  return approvalReasons(customer && customer.approvalRules, {
+    totalAmount: submission.totalAmount,
+    netAmount: submission.currency ? submission.netAmount : undefined,
+    currency: submission.currency,
+    lines: lines.map(line => ({ quantity: line.orderAmount, product: line.productDetails }))
+  });
+}
+
+// Hold an amended submission for approval again with `reasons`. A submitted order leaves the
+// admin dashboard and goes back to pending_approval; one already pending gets the new reasons.
+async function requestReapproval(submission, reasons, revisedBy, session) {
+  const requestedAt = new Date();
+
+  if (submission.status === 'submitted') {
+    await Order.updateMany(
+      { customerId: submission.customerId, lastSubmittedTimestamp: submission.submittedAt },
+      { lastSubmittedAmount: 0, lastSubmittedTimestamp: null },
+      { session }
+    );
+    submission.transitionTo('pending_approval', revisedBy, requestedAt);
+    await OrderHistory.updateMany({ submissionId: submission._id }, { submittedAt: requestedAt }, { session });
+  }
+
+  submission.approval = { reasons, requestedAt };
+  return submission;
+}
+
+// Replace a submission's lines with [{ productId, orderAmount }] and record a revision.
+// Lines left out (or set to 0) are removed; changed lines keep their list price but get the
+// quantity break for the new amount; new products are added at today's price and credited to
+// `revisedBy` (the customer user amending). Stock reservations follow the new amounts.
+// Unless `revisedBy` is an approver, an amended order matching the customer's approval rules
+// waits for approval again, even if it was approved before.
+// Returns { status, body } so it can run inside runIdempotent.
+async function amendSubmission(submission, orders, revisedBy, session) {
+  if (!submission.isAmendable()) {
+    return { status: 400, body: { error: `Order #${submission.orderNumber} can no longer be amended` } };
+  }
+  if (!orders.some(order => order.orderAmount > 0)) {
+    return { status: 400, body: { error: 'An amended order needs at least one line - cancel the order instead' } };
+  }
+
+  const allEntries = await OrderHistory.find({ submissionId: submission._id }).session(session);
+  const entries = allEntries.filter(entry => entry.lineType !== 'component');
+  const componentsOf = entry => allEntries.filter(line => line.lineType === 'component' && line.bundleLineId.equals(entry._id));
+  const entriesByProduct = new Map(entries.map(entry => [entry.productId.toString(), entry]));
+  const requested = new Map(orders.map(order => [String(order.productId), order.orderAmount]));
+  const fieldFor = productId => `orders[${orders.findIndex(order => String(order.productId) === productId)}].orderAmount`;
+  const changes = [];
+
+  const changed = entries
+    .map(entry => ({
+      entry,
+      newAmount: requested.has(entry.productId.toString()) ? requested.get(entry.productId.toString()) : 0
+    }))
+    .filter(({ entry, newAmount }) => newAmount !== entry.orderAmount);
+
+  const added = [];
+  for (const [productId, orderAmount] of requested) {
+    if (entriesByProduct.has(productId) || orderAmount <= 0) continue;
+
+    const product = await Product.findOne({ _id: productId, customerId: submission.customerId }).session(session);
+    if (product) added.push({ product, orderAmount });
+  }
+
+  // Check stock for the new amounts before anything is saved (each line gives up its own reservation
+  // first; bundles reserve their components)
+  const heldLine = (index, line, quantity) => ({
+    index,
+    line,
+    sku: line.productDetails.sku,
+    masterProductId: line.masterProductId,
+    quantity,
+    held: line.reservedAmount || 0
+  });
+  const stockLines = [
+    ...changed.flatMap(({ entry, newAmount }, index) => (entry.lineType === 'bundle'
+      ? componentsOf(entry).map(component => heldLine(index, component, newAmount * component.bundleQuantity))
+      : [heldLine(index, entry, newAmount)])),
+    ...(await explodeLines(added.map(({ product, orderAmount }) => ({ product, quantity: orderAmount })), session))
+      .map(stockLine => ({ ...stockLine, index: changed.length + stockLine.index }))
+  ];
+  const productIds = [...changed.map(({ entry }) => entry.productId), ...added.map(({ product }) => product._id)];
+
+  const { plans, errors } = await planReservations(stockLines, session);
+  if (errors.length > 0) {
+    return stockErrorResult(errors, stockLines.map(({ index }) => ({ field: fieldFor(productIds[index].toString()), productId: productIds[index] })));
+  }
+  await applyReservations(plans, session);
+  const parts = stockParts(stockLines, plans, productIds.length);
+
+  // Changed and removed lines
+  for (const [index, { entry, newAmount }] of changed.entries()) {
+    changes.push({
+      sku: entry.productDetails.sku,
+      name: entry.productDetails.name,
+      previousAmount: entry.orderAmount,
+      newAmount
+    });
+    const product = await Product.findById(entry.productId).session(session);
+    entry.unitPrice = product ? unitPriceFor(product, newAmount, entry.productDetails.price) : lineUnitPrice(entry);
+    entry.lineTotal = roundMoney(entry.unitPrice * newAmount);
+    entry.orderAmount = newAmount;
+
+    // The line itself holds the stock, or for a bundle each of its component lines
+    for (const { stockLine, plan } of parts[index]) {
+      stockLine.line.orderAmount = stockLine.quantity;
+      stockLine.line.masterProductId = plan.masterId;
+      stockLine.line.reservedAmount = plan.reservedAmount;
+      stockLine.line.backorderedAmount = plan.backorderedAmount;
+      if (stockLine.line !== entry) await stockLine.line.save({ session });
+    }
+    if (entry.lineType === 'bundle') {
+      entry.backorderedAmount = bundleBackorder(componentsOf(entry));
+    }
+    await entry.save({ session });
+    await syncSubmittedAmount(submission, entry.productId, newAmount, session);
+  }
+
+  // Added lines
+  let context = null;
+  const submitter = added.length > 0 ? submitterFields(await findCustomerUser(revisedBy, session)) : null;
+  for (const [index, { product, orderAmount }] of added.entries()) {
+    const [priced] = (await priceLines(submission.customerId, [{ product, quantity: orderAmount }], new Date(), session)).lines;
+    context = context || await taxContext(submission.customerId, session);
+
+    await saveHistoryLine({
+      submissionId: submission._id,
+      customerId: submission.customerId,
+      productId: product._id,
+      orderAmount,
+      submittedAt: submission.submittedAt,
+      ...submitter,
+      productDetails: {
+        sku: product.sku,
+        name: product.name,
+        price: priced.listPrice,
+        unit: product.unit
+      },
+      unitPrice: priced.unitPrice,
+      lineTotal: priced.lineTotal,
+      taxCategory: product.taxCategory || 'standard',
+      taxRate: taxRateFor(context, product.taxCategory),
+      masterProductId: product.masterProductId
+    }, parts[changed.length + index], session);
+    await syncSubmittedAmount(submission, product._id, orderAmount, session);
+
+    changes.push({ sku: product.sku, name: product.name, previousAmount: 0, newAmount: orderAmount });
+  }
+
+  if (changes.length === 0) {
+    return { status: 200, body: revisionResult(submission, 'No changes to save') };
+  }
+
+  submission.revisions.push({ type: 'amended', revisedAt: new Date(), revisedBy, changes });
+  await refreshTotals(submission, session);
+
+  const reasons = await amendmentApprovalReasons(submission, revisedBy, session);
+  if (reasons.length > 0) {
+    await requestReapproval(submission, reasons, revisedBy, session);
+  }
+  await submission.save({ session });
+
+  if (reasons.length > 0) {
+    return {
+      status: 200,
+      body: {
+        ...revisionResult(submission, `Order #${submission.orderNumber} amended and sent for approval`),
+        approvalReasons: reasons
+      }
+    };
+  }
+  return { status: 200, body: revisionResult(submission, `Order #${submission.orderNumber} amended`) };
+}
+
+// Cancel a submission on the customer's behalf and record a revision
+async function cancelSubmission(submission, revisedBy, session) {
+  if (!submission.isAmendable()) {
+    return { status: 400, body: { error: `Order #${submission.orderNumber} can no longer be cancelled` } };
+  }
+
+  const cancelledAt = new Date();
+  submission.revisions.push({ type: 'cancelled', revisedAt: cancelledAt, revisedBy, changes: [] });
+  submission.transitionTo('cancelled', revisedBy, cancelledAt);
+  await submission.save({ session });
+  await releaseReservations(await OrderHistory.find({ submissionId: submission._id }).session(session), session);
+
+  // The cancelled amounts are no longer waiting on the admin dashboard
+  await Order.updateMany(
+    { customerId: submission.customerId, lastSubmittedTimestamp: submission.submittedAt },
+    { lastSubmittedAmount: 0, lastSubmittedTimestamp: null },
+    { session }
+  );
+
+  return { status: 200, body: revisionResult(submission, `Order #${submission.orderNumber} cancelled`) };
+}
+
+// Move a submission to `status` for an admin (see Submission.STATUS_TRANSITIONS). A closed
+// order no longer needs the stock held for its unshipped lines, and cancelled amounts leave
+// the admin product dashboards.
+async function changeSubmissionStatus(submission, status, changedBy, session) {
+  if (!submission.canTransitionTo(status)) {
+    return {
+      status: 400,
+      body: { error: `Cannot change order #${submission.orderNumber} from "${submission.status}" to "${status}"` }
+    };
+  }
+
+  submission.transitionTo(status, changedBy);
+  await submission.save({ session });
+
+  if (status === 'cancelled' || status === 'fulfilled') {
+    await releaseReservations(await OrderHistory.find({ submissionId: submission._id, reservedAmount: { $gt: 0 } }).session(session), session);
+  }
+
+  if (status === 'cancelled') {
+    await Order.updateMany(
+      { customerId: submission.customerId, lastSubmittedTimestamp: submission.submittedAt },
+      { lastSubmittedAmount: 0, lastSubmittedTimestamp: null },
+      { session }
+    );
+  }
+
+  return { status: 200, body: { message: `Order #${submission.orderNumber} is now ${status}`, submission: submission.toObject() } };
+}
+
+// Archive a submission: it is closed (fulfilled unless cancelled), hidden from history and
+// its amounts leave the admin dashboards. Stock still held for lines that never shipped goes back.
+async function archiveSubmission(submission, archivedBy, session) {
+  const archivedAt = new Date();
+
+  if (submission.status !== 'fulfilled' && submission.status !== 'cancelled') {
+    submission.transitionTo('fulfilled', archivedBy, archivedAt);
+  }
+  submission.isArchived = true;
+  submission.archivedAt = archivedAt;
+  await submission.save({ session });
+
+  await releaseReservations(await OrderHistory.find({ submissionId: submission._id }).session(session), session);
+
+  const archived = await OrderHistory.updateMany(
+    { submissionId: submission._id },
+    {
+      isArchived: true,
+      archivedAt: archivedAt
+    },
+    { session }
+  );
+
+  await Order.updateMany(
+    {
+      customerId: submission.customerId,
+      lastSubmittedTimestamp: submission.submittedAt
+    },
+    {
+      lastSubmittedAmount: 0,
+      lastSubmittedTimestamp: null
+    },
+    { session }
+  );
+
+  return {
+    status: 200,
+    body: {
+      message: `Order #${submission.orderNumber} archived successfully`,
+      modifiedCount: archived.modifiedCount
+    }
+  };
+}
+
+// Approve an order held by the customer's approval rules. It reaches us now, so it is
+// stamped as submitted at approval time and moves to the next delivery if its cut-off passed.
+async function approveSubmission(submission, approverId, session) {
+  if (submission.status !== 'pending_approval') {
+    return { status: 400, body: { error: `Order #${submission.orderNumber} is not awaiting approval` } };
+  }
+
+  const approvedAt = new Date();
+  if (submission.cutoffAt && submission.cutoffAt <= approvedAt) {
+    const customer = await Customer.findById(submission.customerId).select('deliveryCalendar').session(session);
+    if (customer && hasCalendar(customer.deliveryCalendar)) {
+      const slot = nextDelivery(customer.deliveryCalendar, approvedAt);
+      if (!slot) {
+        return { status: 400, body: { error: `The cut-off for order #${submission.orderNumber} has passed and there is no later delivery day` } };
+      }
+      submission.deliveryDate = slot.deliveryDate;
+      submission.cutoffAt = slot.cutoffAt;
+      submission.rolledForward = true;
+    }
+  }
+
+  const approver = await findCustomerUser(approverId, session);
+  submission.approval.decidedBy = approverId;
+  submission.approval.decidedByName = approver ? approver.name : undefined;
+  submission.approval.decidedAt = approvedAt;
+  submission.transitionTo('submitted', approverId, approvedAt);
+  await submission.save({ session });
+  await OrderHistory.updateMany({ submissionId: submission._id }, { submittedAt: approvedAt }, { session });
+
+  // The approved amounts now show on the admin dashboard
+  const lines = await OrderHistory.find({ submissionId: submission._id, lineType: { $ne: 'component' } }).session(session);
+  for (const line of lines) {
+    await syncSubmittedAmount(submission, line.productId, line.orderAmount, session);
+  }
+
+  return { status: 200, body: revisionResult(submission, `Order #${submission.orderNumber} approved`) };
+}
+
+// Reject an order held for approval; its stock is released and it never reaches us
+async function rejectSubmission(submission, approverId, reason, session) {
+  if (submission.status !== 'pending_approval') {
+    return { status: 400, body: { error: `Order #${submission.orderNumber} is not awaiting approval` } };
+  }
+
+  const rejectedAt = new Date();
+  const approver = await findCustomerUser(approverId, session);
+  submission.approval.decidedBy = approverId;
+  submission.approval.decidedByName = approver ? approver.name : undefined;
+  submission.approval.decidedAt = rejectedAt;
+  submission.approval.rejectionReason = reason;
+  submission.transitionTo('rejected', approverId, rejectedAt);
+  await submission.save({ session });
+  await releaseReservations(await OrderHistory.find({ submissionId: submission._id }).session(session), session);
+
+  return { status: 200, body: revisionResult(submission, `Order #${submission.orderNumber} rejected`) };
+}
+
+// Open (not final, not archived) submissions with lines for `productId`. Those lines hold
+// stock and make up the order totals, so the product can't be deleted while there are any.
+async function openSubmissionsWith(productId, session = null) {
+  const submissionIds = await OrderHistory.distinct('submissionId', { productId }).session(session);
+  return Submission.find({
+    _id: { $in: submissionIds },
+    status: { $nin: Submission.FINAL_STATUSES },
+    isArchived: { $ne: true }
+  }).select('orderNumber').sort({ orderNumber: 1 }).session(session);
+}
+
+// 400 result refusing to delete a product that is still on the open `submissions`
+function openSubmissionsResult(submissions) {
+  const orderNumbers = submissions.map(submission => `#${submission.orderNumber}`).join(', ');
+  return {
+    status: 400,
+    body: { error: `The product is on open order(s) ${orderNumbers} - fulfil, cancel or archive them first` }
+  };
+}
+
+// Replace the customer's drafts with the lines of a past submission. Lines are matched
+// to the customer's current products by SKU; lines that can't be matched or no longer
+// meet the ordering rules are skipped, and price differences are reported.
+async function reorderSubmission(submission, session) {
+  const customerId = submission.customerId;
+  const entries = await OrderHistory.find({
+    submissionId: submission._id,
+    orderAmount: { $gt: 0 },
+    lineType: { $ne: 'component' }
+  }).sort({ 'productDetails.sku': 1 }).session(session);
+
+  const products = await Product.find({
+    customerId,
+    sku: { $in: entries.map(entry => entry.productDetails.sku) }
+  }).session(session);
+  const productsBySku = new Map(products.map(product => [product.sku, product]));
+
+  const lines = [];
+  const skipped = [];
+  const priceChanges = [];
+
+  const available = [];
+  for (const entry of entries) {
+    const { sku, name } = entry.productDetails;
+    const product = productsBySku.get(sku);
+
+    if (!product) {
+      skipped.push({ sku, name, reason: 'no longer available' });
+      continue;
+    }
+
+    const ruleErrors = orderRuleErrors(product, entry.orderAmount, null);
+    if (ruleErrors.length > 0) {
+      skipped.push({ sku, name, reason: ruleErrors.join('; ') });
+      continue;
+    }
+
+    available.push({ entry, product, quantity: entry.orderAmount });
+  }
+
+  // Compare what each unit was charged then with what it would cost now
+  const pricing = await priceLines(customerId, available, new Date(), session);
+  pricing.lines.forEach(({ product, quantity, unitPrice }, index) => {
+    const { entry } = available[index];
+    const previousPrice = lineUnitPrice(entry);
+    if (unitPrice !== previousPrice) {
+      priceChanges.push({ sku: entry.productDetails.sku, name: entry.productDetails.name, previousPrice, currentPrice: unitPrice });
+    }
+    lines.push({ productId: product._id, orderAmount: quantity });
+  });
+
+  await Order.updateMany(
+    { customerId, orderAmount: { $ne: 0 } },
+    { orderAmount: 0, lastUpdatedTimestamp: new Date() },
+    { session }
+  );
+  const result = await saveDrafts(customerId, lines, session);
+
+  return {
+    message: `Copied order #${submission.orderNumber} into drafts`,
+    timestamp: result.timestamp,
+    loaded: lines.length,
+    skipped,
+    priceChanges
+  };
+}
+
+module.exports = {
+  formatLine,
+  withLines,
+  saveDrafts,
+  submitOrders,
+  amendSubmission,
+  cancelSubmission,
+  changeSubmissionStatus,
+  archiveSubmission,
+  approveSubmission,
+  rejectSubmission,
+  reorderSubmission,
+  openSubmissionsWith,
+  openSubmissionsResult
+};
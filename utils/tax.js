@@ -0,0 +1,83 @@
+const Customer = require('../models/Customer');
+const TaxRate = require('../models/TaxRate');
+const ExchangeRate = require('../models/ExchangeRate');
+const { roundMoney } = require('./pricing');
+
+// Prices are kept in this currency; customers may be invoiced in another
+const BASE_CURRENCY = (process.env.BASE_CURRENCY || 'USD').toUpperCase();
+
+// Rates and currency for a customer's invoices
+async function taxContext(customerId, session = null) {
+  const customer = await Customer.findById(customerId).select('taxRule currency').session(session);
+  const rates = await TaxRate.find().session(session);
+  const currency = (customer && customer.currency) || BASE_CURRENCY;
+
+  let exchangeRate = 1;
+  if (currency !== BASE_CURRENCY) {
+    const stored = await ExchangeRate.findOne({ currency }).session(session);
+    if (!stored) {
+      throw new Error(`No exchange rate set for ${currency}`);
+    }
+    exchangeRate = stored.rate;
+  }
+
+  return {
+    taxRule: (customer && customer.taxRule) || 'standard',
+    rates: new Map(rates.map(rate => [rate.category, rate.rate])),
+    currency,
+    exchangeRate
+  };
+}
+
+// Tax percent for a product category: exempt customers pay none, customers on the
+// reduced rule pay at most the reduced rate, zero-rated products are never taxed
+function taxRateFor(context, taxCategory = 'standard') {
+  if (context.taxRule === 'exempt' || taxCategory === 'zero') return 0;
+
+  const rate = context.rates.get(taxCategory) || 0;
+  if (context.taxRule === 'reduced') {
+    return Math.min(rate, context.rates.get('reduced') || 0);
+  }
+  return rate;
+}
+
+// Net, tax and gross in the invoice currency for [{ lineTotal, taxRate }] (line totals in
+// base currency). Tax is worked out once per rate on the converted net.
+function invoiceTotals(lines, currency, exchangeRate) {
+  const byRate = new Map();
+  for (const line of lines) {
+    const net = roundMoney(line.lineTotal * exchangeRate);
+    byRate.set(line.taxRate, roundMoney((byRate.get(line.taxRate) || 0) + net));
+  }
+
+  const taxBreakdown = [...byRate.entries()]
+    .sort(([a], [b]) => b - a)
+    .map(([rate, netAmount]) => ({ rate, netAmount, taxAmount: roundMoney(netAmount * rate / 100) }));
+
+  const netAmount = roundMoney(taxBreakdown.reduce((sum, entry) => sum + entry.netAmount, 0));
+  const taxAmount = roundMoney(taxBreakdown.reduce((sum, entry) => sum + entry.taxAmount, 0));
+
+  return {
+    currency,
+    exchangeRate,
+    netAmount,
+    taxAmount,
+    grossAmount: roundMoney(netAmount + taxAmount),
+    taxBreakdown
+  };
+}
+
+// Add tax rates to priced lines (see priceLines) and work out the invoice totals
+async function applyTax(customerId, pricing, session = null) {
+  const context = await taxContext(customerId, session);
+
+  for (const line of pricing.lines) {
+    line.taxCategory = line.product.taxCategory || 'standard';
+    line.taxRate = taxRateFor(context, line.taxCategory);
+  }
+
+  const ordered = pricing.lines.filter(line => line.quantity > 0);
+  return { ...pricing, ...invoiceTotals(ordered, context.currency, context.exchangeRate) };
+}
+
+module.exports = { BASE_CURRENCY, taxContext, taxRateFor, invoiceTotals, applyTax };
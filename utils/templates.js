@@ -0,0 +1,124 @@
+const Order = require('../models/Order');
+const Customer = require('../models/Customer');
+const Product = require('../models/Product');
+const OrderTemplate = require('../models/OrderTemplate');
+const { runIdempotent } = require('./idempotency');
+const { saveDrafts, submitOrders } = require('./submissions');
+const { orderRuleErrors, earliestOrderDelivery } = require('./orderRules');
+const { hasCalendar, resolveDelivery } = require('./deliveryCalendar');
+
+// Template lines whose product is still assigned to the customer and whose
+// quantity still meets the product's ordering rules
+async function availableLines(template, session, deliveryDate = null) {
+  const products = await Product.find({
+    _id: { $in: template.lines.map(line => line.productId) },
+    customerId: template.customerId
+  }).session(session);
+
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
+  const lines = template.lines
+    .filter(line => {
+      const product = productsById.get(line.productId.toString());
+      return product && orderRuleErrors(product, line.orderAmount, deliveryDate).length === 0;
+    })
+    .map(line => ({ productId: line.productId, orderAmount: line.orderAmount }));
+
+  return { lines, skipped: template.lines.length - lines.length };
+}
+
+// Replace the customer's drafts with the template quantities
+async function loadTemplate(template, session) {
+  const { lines, skipped } = await availableLines(template, session);
+
+  await Order.updateMany(
+    { customerId: template.customerId, orderAmount: { $ne: 0 } },
+    { orderAmount: 0, lastUpdatedTimestamp: new Date() },
+    { session }
+  );
+  const result = await saveDrafts(template.customerId, lines, session);
+
+  return {
+    message: `Loaded template "${template.name}" into drafts`,
+    timestamp: result.timestamp,
+    loaded: lines.length,
+    skipped
+  };
+}
+
+// Run every scheduled template that is due, creating drafts or submitting
+async function runDueTemplates() {
+  try {
+    const now = new Date();
+    const dueTemplates = await OrderTemplate.find({
+      'schedule.enabled': true,
+      'schedule.nextRunAt': { $lte: now }
+    });
+
+    for (const template of dueTemplates) {
+      const runAt = template.schedule.nextRunAt;
+
+      try {
+        // Keyed on the run time so a run is never applied twice
+        await runIdempotent({
+          key: `${template._id}:${runAt.toISOString()}`,
+          ownerId: template.customerId,
+          scope: 'template-run',
+          body: { templateId: template._id, runAt }
+        }, async (session) => {
+          let body;
+          if (template.schedule.action === 'submit') {
+            // For the earliest delivery the template's lead times allow
+            const customer = await Customer.findById(template.customerId).select('deliveryCalendar').session(session);
+            const products = await Product.find({
+              _id: { $in: template.lines.map(line => line.productId) },
+              customerId: template.customerId
+            }).select('leadTimeDays').session(session);
+            const earliest = earliestOrderDelivery(products, now);
+            const delivery = customer && hasCalendar(customer.deliveryCalendar)
+              ? resolveDelivery(customer.deliveryCalendar, now, null, earliest)
+              : { deliveryDate: earliest || undefined };
+
+            if (delivery.error) {
+              // Can't be delivered under the customer's calendar - leave it as drafts instead
+              body = await loadTemplate(template, session);
+              body.message = `${body.message} (not submitted: ${delivery.error})`;
+            } else {
+              const { lines } = await availableLines(template, session, delivery.deliveryDate);
+              const result = await submitOrders(template.customerId, lines, session, delivery);
+              if (result.status === 200) {
+                body = result.body;
+              } else {
+                // Not enough stock for a product that can't be back-ordered - leave it as drafts instead
+                body = await loadTemplate(template, session);
+                body.message = `${body.message} (not submitted: ${result.body.error})`;
+              }
+            }
+          } else {
+            body = await loadTemplate(template, session);
+          }
+
+          template.schedule.lastRunAt = now;
+          template.advanceSchedule(now);
+          await template.save({ session });
+
+          return { status: 200, body };
+        });
+
+        console.log(`Ran scheduled template "${template.name}" (${template.schedule.action})`);
+      } catch (error) {
+        console.error(`Error running scheduled template ${template._id}:`, error);
+      }
+    }
+  } catch (error) {
+    console.error('Error running scheduled templates:', error);
+  }
+}
+
+// Check for due templates every 15 minutes
+function scheduleTemplates() {
+  setInterval(runDueTemplates, 15 * 60 * 1000);
+  // Catch up on runs missed while the server was down
+  runDueTemplates();
+}
+
+module.exports = { loadTemplate, runDueTemplates, scheduleTemplates };
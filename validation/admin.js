@@ -0,0 +1,307 @@
+// Request schemas for routes/admin.js
+
+const Submission = require('../models/Submission');
+const Admin = require('../models/Admin');
+const CustomerUser = require('../models/CustomerUser');
+const TaxRate = require('../models/TaxRate');
+const { MAX_PAGE_SIZE } = require('../utils/catalog');
+
+const id = (name) => ({ params: { [name]: { type: 'objectId', required: true } } });
+
+const customerUserParams = {
+  id: { type: 'objectId', required: true },
+  userId: { type: 'objectId', required: true }
+};
+
+const orderRuleFields = {
+  minOrderQuantity: { type: 'integer', min: 0 },
+  orderMultiple: { type: 'integer', min: 1 },
+  maxOrderQuantity: { type: 'integer', min: 1 },
+  leadTimeDays: { type: 'integer', min: 0 }
+};
+
+const priceTiers = {
+  type: 'array',
+  items: {
+    type: 'object',
+    fields: {
+      minQuantity: { type: 'integer', required: true, min: 2 },
+      price: { type: 'number', required: true, min: 0 }
+    }
+  }
+};
+
+const categories = {
+  type: 'array',
+  items: { type: 'string', required: true, maxLength: 50 }
+};
+
+// Search, category filter and cursor pagination for product listings
+const catalogQuery = {
+  q: { type: 'string', maxLength: 100 },
+  category: { type: 'string', maxLength: 50 },
+  cursor: { type: 'string' },
+  limit: { type: 'integer', min: 1, max: MAX_PAGE_SIZE }
+};
+
+const currency = { type: 'string', pattern: /^[A-Za-z]{3}$/, patternMessage: 'must be a 3-letter currency code' };
+
+const invoicingFields = {
+  taxRule: { type: 'string', enum: ['standard', 'reduced', 'exempt'] },
+  currency
+};
+
+const stockFields = {
+  stockOnHand: { type: 'integer', min: 0 },
+  lowStockThreshold: { type: 'integer', min: 0 },
+  stockPolicy: { type: 'string', enum: ['backorder', 'block'] }
+};
+
+// Bundle contents: component SKUs and how many of each make one bundle
+const components = {
+  type: 'array',
+  items: {
+    type: 'object',
+    fields: {
+      sku: { type: 'string', required: true },
+      quantity: { type: 'integer', required: true, min: 1 }
+    }
+  }
+};
+
+const masterProductFields = {
+  sku: { type: 'string', required: true },
+  name: { type: 'string', required: true },
+  price: { type: 'number', required: true, min: 0 },
+  unit: { type: 'string', required: true },
+  taxCategory: { type: 'string', enum: TaxRate.TAX_CATEGORIES },
+  categories,
+  discontinued: { type: 'boolean' },  // Stops every customer ordering it
+  components,
+  ...orderRuleFields,
+  ...stockFields,
+  priceTiers
+};
+
+module.exports = {
+  changePassword: {
+    body: {
+      currentPassword: { type: 'string', required: true },
+      newPassword: { type: 'string', required: true, minLength: 6 }
+    }
+  },
+  createAdmin: {
+    body: {
+      username: { type: 'string', required: true },
+      password: { type: 'string', required: true, minLength: 6 },
+      role: { type: 'string', required: true, enum: Admin.ADMIN_ROLES }
+    }
+  },
+  updateAdmin: {
+    ...id('id'),
+    body: {
+      role: { type: 'string', enum: Admin.ADMIN_ROLES },
+      disabled: { type: 'boolean' },
+      password: { type: 'string', minLength: 6 }
+    }
+  },
+  deleteAdmin: id('id'),
+  unlockAdmin: id('id'),
+  loginAttempts: {
+    query: {
+      role: { type: 'string', enum: ['customer', 'admin'] },
+      username: { type: 'string', maxLength: 100 },
+      ip: { type: 'string', maxLength: 100 },
+      limit: { type: 'integer', min: 1, max: 500 }
+    }
+  },
+  createCustomer: {
+    body: {
+      username: { type: 'string', required: true },
+      password: { type: 'string', required: true, minLength: 6 },
+      companyName: { type: 'string', required: true },
+      contactPerson: { type: 'string', required: true },
+      ...invoicingFields
+    }
+  },
+  updateCustomer: {
+    ...id('id'),
+    body: {
+      username: { type: 'string', required: true },  // Account name; users' logins are changed under /users
+      companyName: { type: 'string', required: true },
+      contactPerson: { type: 'string', required: true },
+      ...invoicingFields
+    }
+  },
+  deleteCustomer: id('id'),
+  customerUsers: id('id'),
+  createCustomerUser: {
+    ...id('id'),
+    body: {
+      username: { type: 'string', required: true },
+      password: { type: 'string', required: true, minLength: 6 },
+      name: { type: 'string', required: true, maxLength: 100 },
+      email: { type: 'string', maxLength: 200 },
+      role: { type: 'string', required: true, enum: CustomerUser.CUSTOMER_USER_ROLES }
+    }
+  },
+  updateCustomerUser: {
+    params: customerUserParams,
+    body: {
+      name: { type: 'string', maxLength: 100 },
+      email: { type: 'string', maxLength: 200 },
+      role: { type: 'string', enum: CustomerUser.CUSTOMER_USER_ROLES },
+      disabled: { type: 'boolean' },
+      password: { type: 'string', minLength: 6 }
+    }
+  },
+  deleteCustomerUser: { params: customerUserParams },
+  unlockCustomerUser: { params: customerUserParams },
+  getCalendar: id('id'),
+  updateCalendar: {
+    ...id('id'),
+    body: {
+      deliveryDays: {
+        type: 'array',
+        required: true,
+        items: {
+          type: 'object',
+          fields: {
+            weekday: { type: 'integer', required: true, min: 0, max: 6 },
+            cutoffTime: { type: 'string', required: true, pattern: /^([01]\d|2[0-3]):[0-5]\d$/, patternMessage: 'must be a time like 17:00' },
+            cutoffDaysBefore: { type: 'integer', min: 0, max: 14 }
+          }
+        }
+      },
+      lateSubmission: { type: 'string', enum: ['reject', 'roll_forward'] }
+    }
+  },
+  addClosure: {
+    ...id('id'),
+    body: {
+      date: { type: 'date', required: true },
+      reason: { type: 'string', maxLength: 200 }
+    }
+  },
+  removeClosure: {
+    params: {
+      id: { type: 'objectId', required: true },
+      closureId: { type: 'objectId', required: true }
+    }
+  },
+  orderHistory: id('customerId'),
+  updateSubmissionStatus: {
+    ...id('id'),
+    body: {
+      // Approval is the customer's decision, so admins can't move orders into or out of it
+      status: { type: 'string', required: true, enum: Submission.SUBMISSION_STATUSES.filter(status => !Submission.UNAPPROVED_STATUSES.includes(status)) }
+    }
+  },
+  recordShipment: {
+    ...id('id'),
+    body: {
+      reference: { type: 'string', required: true },
+      deliveryDate: { type: 'date' },
+      lines: {
+        type: 'array',
+        required: true,
+        minItems: 1,
+        items: {
+          type: 'object',
+          fields: {
+            lineId: { type: 'objectId', required: true },
+            quantity: { type: 'integer', required: true, min: 0 },
+            closeLine: { type: 'boolean' },
+            substituteSku: { type: 'string' },
+            note: { type: 'string' }
+          }
+        }
+      }
+    }
+  },
+  listComments: id('id'),
+  postComment: {
+    ...id('id'),
+    body: {
+      body: { type: 'string', required: true, maxLength: 2000 },
+      lineId: { type: 'objectId' }
+    }
+  },
+  archiveOrder: id('submissionId'),
+  listMasterProducts: {
+    query: catalogQuery
+  },
+  createMasterProduct: {
+    body: masterProductFields
+  },
+  updateMasterProduct: {
+    ...id('id'),
+    body: {
+      sku: { type: 'string' },
+      name: { type: 'string' },
+      price: { type: 'number', min: 0 },
+      unit: { type: 'string' },
+      taxCategory: { type: 'string', enum: TaxRate.TAX_CATEGORIES },
+      categories,
+      discontinued: { type: 'boolean' },
+      components,  // An empty list makes a bundle an ordinary product
+      ...orderRuleFields,
+      ...stockFields,
+      priceTiers
+    }
+  },
+  importCatalog: {
+    query: {
+      dryRun: { type: 'boolean' },
+      deleteMissing: { type: 'boolean' }  // Delete master products whose SKU isn't in the file
+    }
+  },
+  adjustStock: {
+    ...id('id'),
+    body: {
+      adjustment: { type: 'integer', required: true }  // e.g. 120 for goods received, -3 for damages
+    }
+  },
+  deleteMasterProduct: id('id'),
+  uploadProductImage: id('id'),
+  uploadSpecSheet: {
+    ...id('id'),
+    query: {
+      fileName: { type: 'string', maxLength: 200 }  // Name customers see when downloading
+    }
+  },
+  deleteProductMedia: id('id'),
+  masterProductVersions: {
+    ...id('id'),
+    query: { at: { type: 'date' } }
+  },
+  revertMasterProduct: {
+    params: {
+      id: { type: 'objectId', required: true },
+      version: { type: 'string', required: true, pattern: /^[1-9]\d*$/, patternMessage: 'must be a version number' }
+    }
+  },
+  removeCustomerProduct: {
+    params: {
+      customerId: { type: 'objectId', required: true },
+      productId: { type: 'objectId', required: true }
+    }
+  },
+  updateTaxRate: {
+    params: { category: { type: 'string', required: true, enum: TaxRate.TAX_CATEGORIES } },
+    body: { rate: { type: 'number', required: true, min: 0, max: 100 } }
+  },
+  updateExchangeRate: {
+    params: { currency: { ...currency, required: true } },
+    body: { rate: { type: 'number', required: true, min: 0.000001 } }
+  },
+  deleteExchangeRate: {
+    params: { currency: { ...currency, required: true } }
+  },
+  assignProducts: {
+    body: {
+      customerIds: { type: 'array', required: true, minItems: 1, items: { type: 'objectId' } },
+      productIds: { type: 'array', required: true, minItems: 1, items: { type: 'objectId' } }
+    }
+  }
+};
@@ -0,0 +1,20 @@
+// Request schemas for routes/auth.js
+
+module.exports = {
+  login: {
+    body: {
+      username: { type: 'string', required: true, maxLength: 100 },
+      password: { type: 'string', required: true, maxLength: 200 }
+    }
+  },
+  refresh: {
+    body: {
+      refreshToken: { type: 'string', required: true }
+    }
+  },
+  logout: {
+    body: {
+      refreshToken: { type: 'string', required: true }
+    }
+  }
+};
@@ -0,0 +1,63 @@
+// Request schemas for routes/customer.js
+
+const CustomerUser = require('../models/CustomerUser');
+const { MAX_PAGE_SIZE } = require('../utils/catalog');
+
+const userId = { params: { id: { type: 'objectId', required: true } } };
+
+module.exports = {
+  listProducts: {
+    query: {
+      q: { type: 'string', maxLength: 100 },
+      category: { type: 'string', maxLength: 50 },
+      ordered: { type: 'boolean' },  // Only products with a draft amount
+      cursor: { type: 'string' },
+      limit: { type: 'integer', min: 1, max: MAX_PAGE_SIZE }
+    }
+  },
+  changePassword: {
+    body: {
+      currentPassword: { type: 'string', required: true },
+      newPassword: { type: 'string', required: true, minLength: 6 }
+    }
+  },
+  reorder: {
+    params: { submissionId: { type: 'objectId', required: true } }
+  },
+  listComments: {
+    params: { submissionId: { type: 'objectId', required: true } }
+  },
+  postComment: {
+    params: { submissionId: { type: 'objectId', required: true } },
+    body: {
+      body: { type: 'string', required: true, maxLength: 2000 },
+      lineId: { type: 'objectId' }
+    }
+  },
+  createUser: {
+    body: {
+      username: { type: 'string', required: true },
+      password: { type: 'string', required: true, minLength: 6 },
+      name: { type: 'string', required: true, maxLength: 100 },
+      email: { type: 'string', maxLength: 200 },
+      role: { type: 'string', required: true, enum: CustomerUser.CUSTOMER_USER_ROLES }
+    }
+  },
+  updateUser: {
+    ...userId,
+    body: {
+      name: { type: 'string', maxLength: 100 },
+      email: { type: 'string', maxLength: 200 },
+      role: { type: 'string', enum: CustomerUser.CUSTOMER_USER_ROLES },
+      disabled: { type: 'boolean' },
+      password: { type: 'string', minLength: 6 }
+    }
+  },
+  deleteUser: userId,
+  updateApprovalRules: {
+    body: {
+      minTotal: { type: 'number', min: 0 },  // null or left out = no total limit
+      skus: { type: 'array', items: { type: 'string', required: true, maxLength: 100 } }
+    }
+  }
+};
@@ -0,0 +1,9 @@
+// Request schemas for routes/files.js
+
+module.exports = {
+  getFile: {
+    params: {
+      key: { type: 'string', required: true, pattern: /^[\w-]+\.\w+$/, patternMessage: 'is not a file key' }
+    }
+  }
+};
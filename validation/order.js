@@ -0,0 +1,55 @@
+// Request schemas for routes/order.js
+
+const quantity = { type: 'integer', required: true, min: 0 };
+
+const orderLine = {
+  type: 'object',
+  fields: {
+    productId: { type: 'objectId', required: true },
+    orderAmount: quantity
+  }
+};
+
+// A product appears at most once per request
+const orderLines = { type: 'array', required: true, items: orderLine, uniqueBy: 'productId' };
+
+module.exports = {
+  updateByParam: {
+    params: { productId: { type: 'objectId', required: true } },
+    body: { orderAmount: quantity }
+  },
+  update: {
+    body: {
+      productId: { type: 'objectId', required: true },
+      orderAmount: quantity
+    }
+  },
+  updateAll: {
+    body: { orders: orderLines }
+  },
+  quote: {
+    body: { orders: orderLines }
+  },
+  submitAll: {
+    body: {
+      orders: orderLines,
+      deliveryDate: { type: 'date' }
+    }
+  },
+  amendSubmission: {
+    params: { id: { type: 'objectId', required: true } },
+    body: { orders: { ...orderLines, minItems: 1 } }
+  },
+  cancelSubmission: {
+    params: { id: { type: 'objectId', required: true } }
+  },
+  approveSubmission: {
+    params: { id: { type: 'objectId', required: true } }
+  },
+  rejectSubmission: {
+    params: { id: { type: 'objectId', required: true } },
+    body: {
+      reason: { type: 'string', required: true, maxLength: 500 }
+    }
+  }
+};
@@ -0,0 +1,45 @@
+// Request schemas for routes/priceList.js
+
+const PriceList = require('../models/PriceList');
+
+const priceListId = { params: { id: { type: 'objectId', required: true } } };
+
+const prices = {
+  type: 'array',
+  items: {
+    type: 'object',
+    fields: {
+      sku: { type: 'string', required: true },
+      price: { type: 'number', required: true, min: 0 }
+    }
+  }
+};
+
+module.exports = {
+  list: {
+    query: {
+      customerId: { type: 'objectId' },
+      type: { type: 'string', enum: PriceList.PRICE_LIST_TYPES }
+    }
+  },
+  create: {
+    body: {
+      name: { type: 'string', required: true, maxLength: 100 },
+      type: { type: 'string', required: true, enum: PriceList.PRICE_LIST_TYPES },
+      customerId: { type: 'objectId' },
+      effectiveFrom: { type: 'date', required: true },
+      effectiveTo: { type: 'date' },
+      prices: { ...prices, required: true }
+    }
+  },
+  update: {
+    ...priceListId,
+    body: {
+      name: { type: 'string', maxLength: 100 },
+      effectiveFrom: { type: 'date' },
+      effectiveTo: { type: 'date' },
+      prices
+    }
+  },
+  remove: priceListId
+};
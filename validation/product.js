@@ -0,0 +1,76 @@
+// Request schemas for routes/product.js
+
+const TaxRate = require('../models/TaxRate');
+
+const orderRuleFields = {
+  minOrderQuantity: { type: 'integer', min: 0 },
+  orderMultiple: { type: 'integer', min: 1 },
+  maxOrderQuantity: { type: 'integer', min: 1 },
+  leadTimeDays: { type: 'integer', min: 0 }
+};
+
+const categories = {
+  type: 'array',
+  items: { type: 'string', required: true, maxLength: 50 }
+};
+
+const priceTiers = {
+  type: 'array',
+  items: {
+    type: 'object',
+    fields: {
+      minQuantity: { type: 'integer', required: true, min: 2 },
+      price: { type: 'number', required: true, min: 0 }
+    }
+  }
+};
+
+const productFields = {
+  sku: { type: 'string', required: true },
+  name: { type: 'string', required: true },
+  price: { type: 'number', required: true, min: 0 },
+  unit: { type: 'string', required: true },
+  taxCategory: { type: 'string', enum: TaxRate.TAX_CATEGORIES },
+  categories,
+  ...orderRuleFields,
+  priceTiers
+};
+
+const productId = { params: { id: { type: 'objectId', required: true } } };
+
+module.exports = {
+  create: {
+    body: {
+      customerId: { type: 'objectId', required: true },
+      ...productFields
+    }
+  },
+  listForCustomer: {
+    params: { customerId: { type: 'objectId', required: true } }
+  },
+  update: {
+    ...productId,
+    body: {
+      masterProductId: { type: 'objectId' },  // null unlinks the product
+      sku: { type: 'string' },
+      name: { type: 'string' },
+      price: { type: 'number', min: 0 },
+      unit: { type: 'string' },
+      taxCategory: { type: 'string', enum: TaxRate.TAX_CATEGORIES },
+      categories,
+      ...orderRuleFields,
+      priceTiers
+    }
+  },
+  remove: productId,
+  versions: {
+    ...productId,
+    query: { at: { type: 'date' } }
+  },
+  revert: {
+    params: {
+      id: { type: 'objectId', required: true },
+      version: { type: 'string', required: true, pattern: /^[1-9]\d*$/, patternMessage: 'must be a version number' }
+    }
+  }
+};
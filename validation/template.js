@@ -0,0 +1,47 @@
+// Request schemas for routes/template.js
+
+const templateId = { params: { id: { type: 'objectId', required: true } } };
+
+// A product appears at most once per template
+const lines = {
+  type: 'array',
+  uniqueBy: 'productId',
+  items: {
+    type: 'object',
+    fields: {
+      productId: { type: 'objectId', required: true },
+      orderAmount: { type: 'integer', required: true, min: 1 }
+    }
+  }
+};
+
+const schedule = {
+  type: 'object',
+  fields: {
+    enabled: { type: 'boolean', required: true },
+    frequency: { type: 'string', enum: ['weekly', 'biweekly'] },
+    weekday: { type: 'integer', min: 0, max: 6 },
+    hour: { type: 'integer', min: 0, max: 23 },
+    action: { type: 'string', enum: ['draft', 'submit'] }
+  }
+};
+
+module.exports = {
+  create: {
+    body: {
+      name: { type: 'string', required: true, maxLength: 100 },
+      lines: { ...lines, required: true, minItems: 1 },
+      schedule
+    }
+  },
+  update: {
+    ...templateId,
+    body: {
+      name: { type: 'string', maxLength: 100 },
+      lines: { ...lines, minItems: 1 },
+      schedule
+    }
+  },
+  remove: templateId,
+  load: templateId
+};